@@ -0,0 +1,121 @@
+import { HiccupError } from './validate.js';
+
+// Prefix of the attributes that carry action references into the markup: onclick becomes data-on-click.
+const ACTION_ATTRIBUTE_PREFIX = 'data-on-';
+
+/**
+ * Tells whether an attribute is an action reference: an event handler attribute
+ * (`on...`) whose value is `[name, payload?]` instead of a function.
+ *
+ * @param {String} name - The attribute name.
+ * @param {*} value - The attribute value.
+ * @returns {Boolean} True if the attribute is an action reference.
+ */
+function isActionReference(name, value) {
+  return name.startsWith('on') && Array.isArray(value) && typeof value[0] === 'string';
+}
+
+/**
+ * Builds the lookup table of an action table.
+ *
+ * @param {Object<String, Function>} [actions] - Actions by name, e.g. {'cart/add': (payload, event) => ...}.
+ * @returns {Map<String, Function>|null} The actions by name, or null if no action table was given.
+ * @throws {TypeError} If an action is not a function.
+ */
+function createActionTable(actions) {
+  if (actions === undefined || actions === null) return null;
+  const table = new Map();
+  for (const [name, action] of Object.entries(actions)) {
+    if (typeof action !== 'function') {
+      throw new TypeError(`Action "${name}" must be a function.`);
+    }
+    table.set(name, action);
+  }
+  return table;
+}
+
+/**
+ * Turns an action reference into an event handler that calls the action with the
+ * reference's payload and the event.
+ *
+ * @param {Map<String, Function>} table - The action table (see createActionTable).
+ * @param {Array} reference - The action reference: [name, payload?].
+ * @param {String} path - Where the reference is, for the error message.
+ * @returns {Function} The event handler.
+ * @throws {HiccupError} If the reference is malformed or the action is not registered.
+ */
+function toActionHandler(table, reference, path) {
+  if (reference.length > 2) {
+    throw new HiccupError([{ path, message: 'an action reference must be [name] or [name, payload]' }]);
+  }
+  const [name, payload] = reference;
+  const action = table.get(name);
+  if (!action) {
+    throw new HiccupError([{ path, message: `unknown action "${name}"` }]);
+  }
+  return event => action(payload, event);
+}
+
+/**
+ * Resolves the action references among the attributes of an element.
+ *
+ * Each reference ({onclick: ['cart/add', {sku: 42}]}) is kept in the markup as a
+ * `data-on-<event>` attribute holding the reference as JSON, so that bindActions can
+ * rebind it on server-rendered markup, and it becomes a real event handler if an action
+ * table is given. Without one (typically on the server), only the attribute is produced.
+ * The attributes object is copied when anything changes, never modified.
+ *
+ * @param {Object} attrs - The element's attributes.
+ * @param {Map<String, Function>|null} table - The action table (see createActionTable).
+ * @param {String} path - The path of the attributes in the tree, for error messages.
+ * @returns {Object} The attributes with the action references resolved.
+ * @throws {HiccupError} If a reference is malformed or names an action that is not registered.
+ */
+function resolveActionAttrs(attrs, table, path) {
+  let result = attrs;
+  for (const name of Object.keys(attrs)) {
+    const value = attrs[name];
+    if (!isActionReference(name, value)) continue;
+    result = result === attrs ? { ...attrs } : result;
+    delete result[name];
+    result[`${ACTION_ATTRIBUTE_PREFIX}${name.slice(2).toLowerCase()}`] = JSON.stringify(value);
+    if (table) {
+      result[name] = toActionHandler(table, value, `${path}.${name}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Binds the action references of server-rendered markup (its `data-on-<event>`
+ * attributes) to the actions of an action table. Use it for markup that is not
+ * taken over by hydrate, which binds the actions of the markup it renders itself.
+ *
+ * @param {Element} rootElement - The element whose subtree (itself included) is bound.
+ * @param {Map<String, Function>|null} table - The action table (see createActionTable).
+ * @returns {Function} A function that removes the event listeners again.
+ * @throws {HiccupError} If a reference is malformed or names an action that is not registered;
+ *         no listener is added then.
+ */
+function bindActions(rootElement, table) {
+  // Every reference is resolved before any listener is added, so that a bad one leaves nothing bound.
+  const bindings = [];
+  for (const element of [rootElement, ...rootElement.querySelectorAll('*')]) {
+    for (const { name, value } of Array.from(element.attributes)) {
+      if (!name.startsWith(ACTION_ATTRIBUTE_PREFIX)) continue;
+      const path = `<${element.tagName.toLowerCase()} ${name}>`;
+      let reference;
+      try {
+        reference = JSON.parse(value);
+      } catch (error) {
+        throw new HiccupError([{ path, message: 'an action reference must be JSON' }]);
+      }
+      const handler = toActionHandler(table || new Map(), reference, path);
+      bindings.push({ element, type: name.slice(ACTION_ATTRIBUTE_PREFIX.length), handler });
+    }
+  }
+  bindings.forEach(({ element, type, handler }) => element.addEventListener(type, handler));
+  return () => bindings.forEach(({ element, type, handler }) => element.removeEventListener(type, handler));
+}
+
+export { createActionTable, resolveActionAttrs, bindActions };
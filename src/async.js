@@ -0,0 +1,204 @@
+import m from 'mithril';
+import { getRenderContext, runInRenderContext } from './context.js';
+
+// Work started for a vnode while its tree was converted during a server-side render,
+// taken over by the vnode's component when it is initialized (see startEarly).
+const startedWork = new WeakMap();
+
+/**
+ * Tells whether a value is a Promise (or any thenable).
+ */
+function isThenable(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+/**
+ * Makes `promise` reject once the deadline of the render in progress has passed.
+ *
+ * @param {Promise} promise - The promise to wait for.
+ * @param {Object} context - The render context; its `deadline` (a timestamp) is set by the `timeout` render option.
+ * @returns {Promise} A promise that settles like `promise`, or rejects on the deadline.
+ */
+function withDeadline(promise, context) {
+  if (context.deadline === undefined) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new Error(`Mithrilicup.async: Still loading after the render's ${context.timeout}ms timeout.`));
+    }, Math.max(0, context.deadline - Date.now()));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Renders what an async component resolves to, as soon as it resolves, with the options of the
+ * render in progress. The subtree gets its own list of head entries, which the component adds
+ * to the document's once it is rendered in place, so that they keep the document order.
+ *
+ * @param {Promise} promise - What the component renders, once resolved (a vnode).
+ * @param {Object} context - The render context.
+ * @returns {Promise<{html: String, head: Array}>} The HTML of the subtree and its head entries.
+ */
+function renderWhenResolved(promise, context) {
+  const subtreeContext = { ...context, head: [] };
+  return withDeadline(Promise.resolve(promise), context)
+    .then(output => runInRenderContext(subtreeContext, () => context.render(output)))
+    .then(html => ({ html, head: subtreeContext.head }));
+}
+
+/**
+ * Calls `start`, capturing what it returns or throws.
+ *
+ * @param {Function} start - Starts the work (e.g. calls a function component).
+ * @returns {{result: *}|{error: Error}} The outcome, with a `rendering` promise during
+ *          server-side rendering if the result is a Promise.
+ */
+function runWork(start) {
+  try {
+    return { result: start() };
+  } catch (error) {
+    return { error };
+  }
+}
+
+/**
+ * Starts the work of a vnode's component right away during server-side rendering, while its
+ * tree is being converted, instead of when the renderer gets to it. Async work of sibling
+ * subtrees then runs concurrently, rather than one subtree after the other.
+ * Outside of server-side rendering, nothing happens: the component starts the work itself.
+ *
+ * @param {Object} vnode - The component vnode.
+ * @param {Function} start - Starts the work; see takeWork.
+ * @param {Function} [render=value => value] - Turns what the work resolves to into what to render.
+ */
+function startEarly(vnode, start, render = value => value) {
+  const context = getRenderContext();
+  if (!context || typeof context.render !== 'function') return;
+  const work = runWork(start);
+  if (isThenable(work.result)) {
+    work.rendering = renderWhenResolved(Promise.resolve(work.result).then(render), context);
+    // Failures are handled when the component takes the work over.
+    work.rendering.catch(() => {});
+  }
+  startedWork.set(vnode, work);
+}
+
+/**
+ * Returns the work started for a vnode by startEarly, or starts it now.
+ *
+ * @param {Object} vnode - The component vnode.
+ * @param {Function} start - Starts the work.
+ * @returns {{result: *, rendering: Promise}|{error: Error}} The outcome of the work.
+ */
+function takeWork(vnode, start) {
+  const work = startedWork.get(vnode);
+  if (work) {
+    startedWork.delete(vnode);
+    return work;
+  }
+  return runWork(start);
+}
+
+/**
+ * Hands the work started by startEarly for a vnode over to a copy of it that is rendered
+ * in its place, so that the component does not start it a second time.
+ *
+ * @param {Object} vnode - The component vnode.
+ * @param {Object} copy - The vnode rendered instead.
+ */
+function moveStartedWork(vnode, copy) {
+  const work = startedWork.get(vnode);
+  if (work) {
+    startedWork.delete(vnode);
+    startedWork.set(copy, work);
+  }
+}
+
+/**
+ * Waits, from a component's oninit, for the Promise its work resolved to (see takeWork),
+ * and records the outcome in `state.async` for viewAsync.
+ *
+ * During server-side rendering the renderer waits for it (through `waitFor`), and the
+ * resolved subtree is rendered to HTML as soon as the Promise resolves. In the browser the
+ * component renders nothing until the Promise resolves, then redraws.
+ *
+ * @param {Object} state - The component state.
+ * @param {{result: Promise, rendering: Promise}} work - The work.
+ * @param {Function} [waitFor] - The `waitFor` argument of oninit, given by server-side renderers.
+ * @param {Object} options
+ * @param {Function} options.render - Turns what the work resolves to into what to render.
+ * @param {Boolean} options.hasFallback - Whether a failure renders a fallback instead of failing the render.
+ * @throws {Error} During a synchronous render.
+ */
+function awaitWork(state, work, waitFor, { render, hasFallback }) {
+  const context = getRenderContext();
+  if (context && context.sync) {
+    throw new Error('Mithrilicup.async: renderHiccupToString cannot wait for async components or loaders; use renderHtmToHtmlString.');
+  }
+  const slot = { settled: false, value: undefined, html: undefined, head: null, error: null };
+  state.async = slot;
+  const fail = (error) => {
+    if (!hasFallback) throw error;
+    console.error('Mithrilicup.async: Error while loading, rendering the fallback instead:', error);
+    slot.error = error;
+  };
+
+  if (typeof waitFor === 'function' && context && typeof context.render === 'function') {
+    const rendering = work.rendering || renderWhenResolved(Promise.resolve(work.result).then(render), context);
+    waitFor(rendering.then(({ html, head }) => {
+      slot.html = html;
+      slot.head = head;
+    }, fail).finally(() => {
+      slot.settled = true;
+    }));
+  } else {
+    Promise.resolve(work.result)
+      .then((value) => {
+        slot.value = value;
+      })
+      .catch((error) => {
+        if (hasFallback) {
+          fail(error);
+        } else {
+          console.error('Mithrilicup.async: Error while loading:', error);
+        }
+      })
+      .then(() => {
+        slot.settled = true;
+        m.redraw();
+      });
+  }
+}
+
+/**
+ * Renders the outcome recorded by awaitWork: nothing while loading, then the resolved
+ * subtree, or the fallback if loading failed.
+ *
+ * @param {Object} state - The component state.
+ * @param {Function} render - Turns what the work resolved to into what to render.
+ * @param {Function} renderFallback - Renders the fallback.
+ * @returns {*} What to render.
+ */
+function viewAsync(state, render, renderFallback) {
+  const slot = state.async;
+  if (!slot.settled) return null;
+  slot.rendered = true;
+  if (slot.error) return renderFallback();
+  if (slot.html === undefined) return render(slot.value);
+  if (slot.head) {
+    // Rendered in place now, so its head entries join the document's in document order.
+    const context = getRenderContext();
+    if (context && context.head) context.head.push(...slot.head);
+    slot.head = null;
+  }
+  return m.trust(slot.html);
+}
+
+/**
+ * Tells whether the outcome recorded by awaitWork has already been rendered.
+ */
+function isAsyncRendered(state) {
+  return Boolean(state.async && state.async.rendered);
+}
+
+export { isThenable, startEarly, takeWork, moveStartedWork, awaitWork, viewAsync, isAsyncRendered };
@@ -0,0 +1,119 @@
+// CSS properties that take plain numbers; any other numeric style value is a length in pixels.
+const UNITLESS_PROPERTIES = new Set([
+  'animation-iteration-count', 'aspect-ratio', 'border-image-outset', 'border-image-slice',
+  'border-image-width', 'box-flex', 'box-flex-group', 'box-ordinal-group', 'column-count',
+  'columns', 'fill-opacity', 'flex', 'flex-grow', 'flex-negative', 'flex-order', 'flex-positive',
+  'flex-shrink', 'flood-opacity', 'font-weight', 'grid-area', 'grid-column', 'grid-column-end',
+  'grid-column-span', 'grid-column-start', 'grid-row', 'grid-row-end', 'grid-row-span',
+  'grid-row-start', 'initial-letter', 'line-clamp', 'line-height', 'opacity', 'order', 'orphans',
+  'scale', 'stop-opacity', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-miterlimit',
+  'stroke-opacity', 'stroke-width', 'tab-size', 'widows', 'z-index', 'zoom'
+]);
+
+/**
+ * Collects the class names of a class value into `classes`.
+ *
+ * @param {String|Array|Object|null|undefined|Boolean} value - The class value.
+ * @param {Array<String>} classes - Receives the class names.
+ */
+function collectClasses(value, classes) {
+  if (!value || value === true) return;
+  if (Array.isArray(value)) {
+    value.forEach(item => collectClasses(item, classes));
+  } else if (typeof value === 'object') {
+    for (const name of Object.keys(value)) {
+      if (value[name]) classes.push(name);
+    }
+  } else {
+    classes.push(String(value));
+  }
+}
+
+/**
+ * Normalizes a Hiccup class value into a class string.
+ *
+ * - Strings are kept as they are.
+ * - Arrays contribute each of their (possibly nested) entries, skipping falsy ones:
+ *   ['btn', isActive && 'active'].
+ * - Objects contribute each key whose value is truthy: {btn: true, disabled: false}.
+ *
+ * @param {String|Array|Object|null|undefined|Boolean} value - The class value.
+ * @returns {String|null} The class string, or null if there are no classes.
+ */
+function normalizeClass(value) {
+  if (typeof value === 'string') return value;
+  const classes = [];
+  collectClasses(value, classes);
+  return classes.length > 0 ? classes.join(' ') : null;
+}
+
+/**
+ * Converts a camelCase style property name into its CSS (kebab-case) name.
+ * Vendor prefixes keep their leading dash (WebkitTransition, msTransform) and
+ * custom properties (--main-color) are left alone. `cssFloat`, the DOM's name for
+ * `float` (a reserved word in old browsers), becomes `float`.
+ *
+ * @param {String} name - The property name.
+ * @returns {String} The CSS property name.
+ */
+function toCssProperty(name) {
+  if (name.startsWith('--') || name.includes('-')) return name;
+  if (name === 'cssFloat') return 'float';
+  const kebab = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  return /^ms-/.test(kebab) ? `-${kebab}` : kebab;
+}
+
+/**
+ * Normalizes a Hiccup style object for both Mithril's DOM renderer and mithril-node-render:
+ * property names become CSS (kebab-case) names and values become strings, with `px`
+ * appended to numbers for properties that take lengths. `null`, `undefined` and `false`
+ * values are dropped. Style strings are kept as they are.
+ *
+ * @param {String|Object|null|undefined} value - The style value.
+ * @returns {String|Object|null} The normalized style.
+ */
+function normalizeStyle(value) {
+  if (value === null || value === undefined || typeof value !== 'object') return value;
+  const style = {};
+  for (const name of Object.keys(value)) {
+    const propertyValue = value[name];
+    if (propertyValue === null || propertyValue === undefined || propertyValue === false) continue;
+    const property = toCssProperty(name);
+    if (typeof propertyValue === 'number') {
+      const unitless = propertyValue === 0 || property.startsWith('--') || UNITLESS_PROPERTIES.has(property);
+      style[property] = unitless ? String(propertyValue) : `${propertyValue}px`;
+    } else {
+      style[property] = String(propertyValue);
+    }
+  }
+  return style;
+}
+
+/**
+ * Normalizes the `class` (or `className`) and `style` attributes of an element.
+ * The attributes object is copied when anything changes, never modified.
+ *
+ * @param {Object} attrs - The element's attributes.
+ * @returns {Object} The attributes with class and style normalized.
+ */
+function normalizeAttrs(attrs) {
+  let result = attrs;
+  for (const name of ['class', 'className']) {
+    if (name in attrs && typeof attrs[name] !== 'string') {
+      result = result === attrs ? { ...attrs } : result;
+      const className = normalizeClass(attrs[name]);
+      if (className === null) {
+        delete result[name];
+      } else {
+        result[name] = className;
+      }
+    }
+  }
+  if (attrs.style !== null && typeof attrs.style === 'object') {
+    result = result === attrs ? { ...attrs } : result;
+    result.style = normalizeStyle(attrs.style);
+  }
+  return result;
+}
+
+export { normalizeAttrs, normalizeClass, normalizeStyle };
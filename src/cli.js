@@ -0,0 +1,214 @@
+import { readFile, writeFile, mkdir, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import hiccupToMithril from './index.js';
+
+const USAGE = `Usage: hiccup-to-mithril <command> [options]
+
+Commands:
+  render <page>          Render a page (a .js or .mjs module, or a Hiccup .json file) to HTML
+  build <pages> <out>    Render every page of a directory to an HTML file in <out>
+  convert <file>         Convert HTML to Hiccup JSON (or a JS module with --to js),
+                         or a page to HTML
+
+Options:
+  -o, --out <file>       Write to <file> instead of the standard output (render, convert)
+  --document             Render complete HTML documents (see renderDocument)
+  --components <module>  Register the components the module exports by default, by name
+  --strict               Validate the Hiccup first
+  --safe                 Sanitize the Hiccup first, for untrusted content
+  --timeout <ms>         Stop waiting for async components and loaders after <ms>
+  --to <json|js>         What convert turns HTML into (default: json)
+  --trim-whitespace      Drop whitespace-only text when converting HTML
+  -h, --help             Show this help
+
+A page module exports Hiccup by default, or a function (possibly async) returning it,
+and can export render \`options\` (e.g. the \`title\` of a document). In build, files and
+directories whose name starts with "_" or "." are not pages.
+`;
+
+const PAGE_EXTENSIONS = new Set(['.js', '.mjs', '.json']);
+const HTML_EXTENSIONS = new Set(['.html', '.htm']);
+
+/**
+ * Error in how the CLI was called: reported with a pointer to the usage.
+ */
+class UsageError extends Error {}
+
+/**
+ * Loads a page: a Hiccup .json file, or a module exporting Hiccup by default, or a function
+ * (possibly async) returning it, and optionally render `options`.
+ *
+ * @param {String} file - The absolute path of the page.
+ * @returns {Promise<{tree: *, options: Object}>} The page's Hiccup and render options.
+ */
+async function loadPage(file) {
+  if (path.extname(file) === '.json') {
+    return { tree: JSON.parse(await readFile(file, 'utf8')), options: {} };
+  }
+  const module = await import(pathToFileURL(file).href);
+  if (!('default' in module)) {
+    throw new Error(`${file} has no default export (the page's Hiccup, or a function returning it).`);
+  }
+  const tree = typeof module.default === 'function' ? await module.default() : module.default;
+  return { tree, options: module.options || {} };
+}
+
+/**
+ * Builds the function that renders pages, from the command-line options.
+ *
+ * @param {Object} values - The parsed options.
+ * @param {String} cwd - The directory relative paths are resolved against.
+ * @returns {Promise<Function>} (file) => Promise<String>, the HTML of the page.
+ */
+async function createPageRenderer(values, cwd) {
+  let api = hiccupToMithril;
+  if (values.components !== undefined) {
+    const module = await import(pathToFileURL(path.resolve(cwd, values.components)).href);
+    api = hiccupToMithril.createHtm({ components: module.default });
+  }
+  // A page that fails to render must fail the command, rather than be written out blank.
+  const renderOptions = { onError: 'throw' };
+  if (values.strict) renderOptions.strict = true;
+  if (values.safe) renderOptions.safe = true;
+  if (values.timeout !== undefined) {
+    const timeout = Number(values.timeout);
+    if (!Number.isFinite(timeout) || timeout < 0) throw new UsageError(`--timeout must be a number of milliseconds, not "${values.timeout}".`);
+    renderOptions.timeout = timeout;
+  }
+  const render = values.document ? api.renderDocument : api.renderHtmToHtmlString;
+
+  return async (file) => {
+    const { tree, options } = await loadPage(file);
+    return render(tree, { ...renderOptions, ...options });
+  };
+}
+
+/**
+ * Lists the pages of a directory and its subdirectories, skipping names that start with
+ * "_" or "." (shared modules, partials, hidden files).
+ *
+ * @param {String} directory - The absolute path of the directory.
+ * @returns {Promise<Array<String>>} The absolute paths of the pages, sorted.
+ */
+async function listPages(directory) {
+  const pages = [];
+  const entries = await readdir(directory, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      pages.push(...await listPages(file));
+    } else if (PAGE_EXTENSIONS.has(path.extname(entry.name))) {
+      pages.push(file);
+    }
+  }
+  return pages;
+}
+
+async function writeOutput(output, values, cwd, stdout) {
+  if (values.out === undefined) {
+    stdout.write(output);
+    return;
+  }
+  const file = path.resolve(cwd, values.out);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, output);
+}
+
+function expectArguments(positionals, count, usage) {
+  if (positionals.length !== count) throw new UsageError(`Usage: hiccup-to-mithril ${usage}`);
+  return positionals;
+}
+
+const commands = {
+  async render(positionals, values, { cwd, stdout }) {
+    const [page] = expectArguments(positionals, 1, 'render <page> [options]');
+    const renderPage = await createPageRenderer(values, cwd);
+    await writeOutput(await renderPage(path.resolve(cwd, page)), values, cwd, stdout);
+  },
+
+  async build(positionals, values, { cwd, stdout }) {
+    const [pagesDirectory, outDirectory] = expectArguments(positionals, 2, 'build <pages> <out> [options]')
+      .map(directory => path.resolve(cwd, directory));
+    if (values.out !== undefined) throw new UsageError('build writes to its <out> directory; --out does not apply.');
+    const renderPage = await createPageRenderer(values, cwd);
+    const pages = await listPages(pagesDirectory);
+    for (const page of pages) {
+      const relative = path.relative(pagesDirectory, page);
+      const file = path.join(outDirectory, relative.slice(0, -path.extname(relative).length) + '.html');
+      const html = await renderPage(page);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, html);
+      stdout.write(`${path.relative(cwd, page)} -> ${path.relative(cwd, file)}\n`);
+    }
+    stdout.write(`Built ${pages.length} page${pages.length === 1 ? '' : 's'}.\n`);
+  },
+
+  async convert(positionals, values, { cwd, stdout }) {
+    const [input] = expectArguments(positionals, 1, 'convert <file> [options]');
+    const file = path.resolve(cwd, input);
+    if (!HTML_EXTENSIONS.has(path.extname(file))) {
+      if (values.to !== undefined) throw new UsageError('--to applies to HTML input; pages are converted to HTML.');
+      const renderPage = await createPageRenderer(values, cwd);
+      await writeOutput(await renderPage(file), values, cwd, stdout);
+      return;
+    }
+    const to = values.to === undefined ? 'json' : values.to;
+    if (to !== 'json' && to !== 'js') throw new UsageError(`--to must be json or js, not "${to}".`);
+    const tree = hiccupToMithril.htmlToHiccup(await readFile(file, 'utf8'), { trimWhitespace: values['trim-whitespace'] });
+    const json = JSON.stringify(tree, null, 2);
+    await writeOutput(to === 'js' ? `export default ${json};\n` : `${json}\n`, values, cwd, stdout);
+  }
+};
+
+/**
+ * Runs the `hiccup-to-mithril` command line: render, build and convert (see USAGE).
+ *
+ * @param {Array<String>} args - The arguments, without the node executable and the script.
+ * @param {Object} [io={}]
+ * @param {String} [io.cwd=process.cwd()] - The directory relative paths are resolved against.
+ * @param {{write: Function}} [io.stdout=process.stdout] - Where output goes.
+ * @param {{write: Function}} [io.stderr=process.stderr] - Where errors go.
+ * @returns {Promise<Number>} The exit code: 0 on success, 1 on failure, 2 on a usage error.
+ */
+async function runCli(args, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    const { positionals, values } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        document: { type: 'boolean' },
+        components: { type: 'string' },
+        strict: { type: 'boolean' },
+        safe: { type: 'boolean' },
+        timeout: { type: 'string' },
+        to: { type: 'string' },
+        'trim-whitespace': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+    const [command, ...rest] = positionals;
+    if (values.help || command === undefined) {
+      (command === undefined && !values.help ? stderr : stdout).write(USAGE);
+      return values.help ? 0 : 2;
+    }
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+      throw new UsageError(`Unknown command "${command}".`);
+    }
+    await commands[command](rest, values, { cwd, stdout });
+    return 0;
+  } catch (error) {
+    // parseArgs reports unknown or malformed options with a code.
+    if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+      stderr.write(`hiccup-to-mithril: ${error.message}\nRun "hiccup-to-mithril --help" for usage.\n`);
+      return 2;
+    }
+    stderr.write(`hiccup-to-mithril: ${error.message}\n`);
+    return 1;
+  }
+}
+
+export { runCli };
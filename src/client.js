@@ -0,0 +1,42 @@
+import m from 'mithril';
+import { createConverter, getConverterParts, htm } from './htm.js';
+import { createHydrate, hydrate } from './hydrate.js';
+import { HiccupError, validateHiccup } from './validate.js';
+import { htmlToHiccup, vnodeToHiccup } from './reverse.js';
+import { bindActions } from './actions.js';
+import { DEFAULT_ALLOWED_TAGS, DEFAULT_ALLOWED_ATTRIBUTES } from './sanitize.js';
+
+/**
+ * Creates an instance of htm, hydrate and bindActions whose Hiccup trees can reference
+ * components and actions by name; the browser counterpart of createHtm in the server entry point.
+ *
+ * @param {Object} [config={}]
+ * @param {Object<String, Object|Function>} [config.components={}] - Components by name, e.g. {'ui/Card': Card}.
+ * @param {Object<String, Function>} [config.actions] - Actions by name, e.g. {'cart/add': (payload, event) => ...}.
+ * @param {Array<Function>} [config.plugins=[]] - Plugins that rewrite the nodes before they are converted.
+ * @returns {{htm: Function, hydrate: Function, bindActions: Function}} The functions, bound to the components and actions.
+ * @throws {TypeError} If a registered value is not a component, or an action is not a function.
+ */
+function createHtm(config = {}) {
+  const boundHtm = createConverter(config);
+  const { actionTable } = getConverterParts(boundHtm);
+  return {
+    htm: boundHtm,
+    hydrate: createHydrate(boundHtm),
+    bindActions: rootElement => bindActions(rootElement, actionTable)
+  };
+}
+
+// Browser entry point ('hiccup-to-mithril/client'): everything that runs in the browser,
+// without the server-side renderers and the Node.js built-ins they depend on.
+export default {
+  createHtm,
+  htm,
+  hydrate,
+  validateHiccup,
+  HiccupError,
+  htmlToHiccup,
+  vnodeToHiccup,
+  safeDefaults: { allowedTags: DEFAULT_ALLOWED_TAGS, allowedAttributes: DEFAULT_ALLOWED_ATTRIBUTES },
+  m: m
+};
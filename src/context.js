@@ -0,0 +1,43 @@
+// State shared by everything rendered during one server-side render call.
+// Components reach it from their hooks, which mithril-node-render calls without
+// any reference to the render options.
+//
+// The storage is installed by the server entry point (index.js): an AsyncLocalStorage,
+// so that concurrent renders don't see each other's context. Nothing installs one
+// in the browser, which keeps this module (and htm) free of Node.js built-ins.
+let storage = null;
+
+/**
+ * Installs the storage that holds the render context.
+ *
+ * @param {{run: Function, getStore: Function}} asyncLocalStorage - An AsyncLocalStorage (or compatible) instance.
+ */
+function useRenderContextStorage(asyncLocalStorage) {
+  storage = asyncLocalStorage;
+}
+
+/**
+ * Runs `fn` with `context` as the current render context. The context is also
+ * visible in everything `fn` schedules asynchronously (promises, timers).
+ *
+ * @param {Object} context - The render context.
+ * @param {Function} fn - The function to run.
+ * @returns {*} Whatever `fn` returns.
+ */
+function runInRenderContext(context, fn) {
+  return storage ? storage.run(context, fn) : fn();
+}
+
+/**
+ * Returns the context of the server-side render currently in progress, if any.
+ *
+ * @returns {Object|undefined} The render context: `{render, head, deadline}`, where `render(vnode)`
+ *          renders a vnode with the options of the render in progress, `head`
+ *          (only during renderDocument) collects head entries and `deadline` (only with
+ *          the `timeout` option) is when async components stop being waited for.
+ */
+function getRenderContext() {
+  return storage ? storage.getStore() : undefined;
+}
+
+export { useRenderContextStorage, runInRenderContext, getRenderContext };
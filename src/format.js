@@ -0,0 +1,137 @@
+import { VOID_TAGS } from './stream.js';
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+const DEFAULT_INDENT = '  ';
+
+// Elements whose content is kept exactly as rendered, since whitespace in it is significant (or it is code).
+const PRESERVED_TAGS = /^(?:pre|textarea|script|style)$/i;
+
+// Elements whose content is raw text in HTML: it is read up to the closing tag, without looking for tags.
+const RAW_TEXT_TAGS = /^(?:script|style|textarea|title)$/i;
+
+// HTML elements laid out in lines of text, where adding line breaks between them would add spaces.
+const INLINE_TAGS = /^(?:a|abbr|b|bdi|bdo|br|button|cite|code|data|dfn|em|i|img|input|kbd|label|mark|meter|output|progress|q|s|samp|select|small|span|strong|sub|sup|textarea|time|u|var|wbr)$/i;
+
+// Comments, CDATA sections, declarations and processing instructions; closing tags; opening tags; text.
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[!?][^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)(?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+|</g;
+
+/**
+ * Parses rendered markup into a light tree, for formatMarkup. Nodes keep the markup they
+ * were parsed from, so that what is not reformatted is written back exactly as it was:
+ * elements are {tag, open, children, close} and everything else is {text}.
+ *
+ * The markup comes from the renderers, whose text and attribute values are escaped, but it
+ * may include raw HTML, so it is parsed leniently: closing tags without an opening tag are
+ * kept as text, and elements that are never closed end with their parent.
+ *
+ * @param {String} markup - The HTML or XML.
+ * @param {Boolean} xml - Whether it is XML, where no element is void and none holds raw text.
+ * @returns {Array<Object>} The top-level nodes.
+ */
+function parseMarkup(markup, xml) {
+  const root = { children: [] };
+  const stack = [root];
+  TOKEN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN.exec(markup)) !== null) {
+    const [token, closingTag, openingTag] = match;
+    const parent = stack[stack.length - 1];
+    if (openingTag !== undefined) {
+      const element = { tag: openingTag, open: token, children: [], close: '' };
+      parent.children.push(element);
+      if (token.endsWith('/>') || (!xml && VOID_TAGS.test(openingTag))) continue;
+      if (!xml && RAW_TEXT_TAGS.test(openingTag)) {
+        const end = markup.toLowerCase().indexOf(`</${openingTag.toLowerCase()}`, TOKEN.lastIndex);
+        const contentEnd = end === -1 ? markup.length : end;
+        if (contentEnd > TOKEN.lastIndex) element.children.push({ text: markup.slice(TOKEN.lastIndex, contentEnd) });
+        TOKEN.lastIndex = contentEnd;
+      }
+      stack.push(element);
+    } else if (closingTag !== undefined) {
+      const index = stack.map(node => node.tag).lastIndexOf(closingTag);
+      if (index > 0) {
+        stack[index].close = token;
+        stack.length = index;
+      } else {
+        parent.children.push({ text: token });
+      }
+    } else {
+      parent.children.push({ text: token });
+    }
+  }
+  return root.children;
+}
+
+/**
+ * Tells whether the content of an element (or the top-level nodes) can be laid out one
+ * node per line without changing what it renders: it holds elements and no text but
+ * whitespace, and in HTML neither it nor its children are inline elements.
+ */
+function isBlockContent(nodes, tag, xml) {
+  if (!nodes.some(node => node.tag !== undefined) || (tag !== undefined && PRESERVED_TAGS.test(tag))) return false;
+  if (!xml && tag !== undefined && INLINE_TAGS.test(tag)) return false;
+  return nodes.every(node => node.tag === undefined
+    ? node.text.trim() === '' || node.text.startsWith('<')
+    : xml || !INLINE_TAGS.test(node.tag));
+}
+
+/**
+ * Formats markup written by the renderers: the `xml` and `pretty` options of
+ * renderHtmToHtmlString, renderHiccupToString, renderHtmToStream and renderDocument.
+ *
+ * With `xml`, elements without content are self-closing (`<link href="/"/>`) and the
+ * markup starts with an XML declaration, unless it already has one or `xml.declaration`
+ * is false. With `pretty`, the content of elements holding only other elements goes on
+ * indented lines, one node per line. Elements holding text, inline HTML elements, and
+ * `pre`, `textarea`, `script` and `style` elements are kept on one line as rendered,
+ * so that no whitespace is added where it would show.
+ *
+ * @param {String} markup - The rendered HTML or XML.
+ * @param {Object} [options={}]
+ * @param {Boolean|Object} [options.xml=false] - Format as XML; {declaration: false} leaves out the XML declaration.
+ * @param {Boolean|Object} [options.pretty=false] - Pretty-print; {indent} is a string or a number of spaces (default 2).
+ * @returns {String} The formatted markup; an empty string for empty markup.
+ */
+function formatMarkup(markup, { xml = false, pretty = false } = {}) {
+  if (markup === '' || (!xml && !pretty)) return markup;
+  const isXml = Boolean(xml);
+  const nodes = parseMarkup(markup, isXml);
+
+  let indent = '';
+  if (pretty) {
+    const option = typeof pretty === 'object' && pretty.indent !== undefined ? pretty.indent : DEFAULT_INDENT;
+    indent = typeof option === 'number' ? ' '.repeat(option) : String(option);
+  }
+
+  function writeInline(node) {
+    if (node.tag === undefined) return node.text;
+    if (isXml && node.children.length === 0 && node.close !== '') {
+      return `${node.open.slice(0, -1)}/>`;
+    }
+    return node.open + node.children.map(writeInline).join('') + node.close;
+  }
+
+  function writeBlock(node, depth) {
+    const padding = indent.repeat(depth);
+    if (node.tag === undefined || !isBlockContent(node.children, node.tag, isXml)) {
+      return padding + writeInline(node);
+    }
+    const lines = node.children
+      .filter(child => child.tag !== undefined || child.text.trim() !== '')
+      .map(child => writeBlock(child, depth + 1));
+    return [padding + node.open, ...lines, ...(node.close === '' ? [] : [padding + node.close])].join('\n');
+  }
+
+  let html;
+  if (pretty && isBlockContent(nodes, undefined, isXml)) {
+    html = nodes.filter(node => node.tag !== undefined || node.text.trim() !== '').map(node => writeBlock(node, 0)).join('\n');
+  } else {
+    html = nodes.map(writeInline).join('');
+  }
+
+  const declaration = isXml && xml.declaration !== false && !html.startsWith('<?xml');
+  return declaration ? `${XML_DECLARATION}${pretty ? '\n' : ''}${html}` : html;
+}
+
+export { formatMarkup };
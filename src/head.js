@@ -0,0 +1,108 @@
+import { getRenderContext } from './context.js';
+
+// Tag of head nodes: [':head', ...headEntries]
+const HEAD_TAG = ':head';
+
+/**
+ * The component behind [':head', ...entries] nodes.
+ *
+ * It renders nothing where it appears. During renderDocument it hands its entries
+ * (Hiccup nodes such as ['title', ...], ['meta', {...}], ['link', {...}]) to the
+ * render in progress, which hoists them into the document's `<head>`.
+ */
+const HeadCollector = {
+  oninit(vnode) {
+    const context = getRenderContext();
+    if (context && context.head) {
+      context.head.push(...vnode.children);
+    }
+  },
+  view() {
+    return null;
+  }
+};
+
+/**
+ * Builds the Hiccup head entries for the document-level options of renderDocument.
+ *
+ * @param {Object} options
+ * @param {String} [options.charset] - Becomes `<meta charset>`.
+ * @param {String} [options.title] - Becomes `<title>`.
+ * @param {Array<Object>} [options.meta] - Attributes of `<meta>` tags.
+ * @param {Array<Object>} [options.links] - Attributes of `<link>` tags.
+ * @param {Array<String|Object>} [options.scripts] - Script URLs, or attributes of `<script>` tags.
+ * @returns {Array} The head entries as Hiccup nodes.
+ */
+function headEntriesFromOptions({ charset, title, meta = [], links = [], scripts = [] }) {
+  const entries = [];
+  if (charset) entries.push(['meta', { charset }]);
+  if (title !== null && title !== undefined) entries.push(['title', String(title)]);
+  meta.forEach(attrs => entries.push(['meta', attrs]));
+  links.forEach(attrs => entries.push(['link', attrs]));
+  scripts.forEach(script => entries.push(['script', typeof script === 'string' ? { src: script } : script]));
+  return entries;
+}
+
+/**
+ * Returns the identity of a head entry: entries with the same key describe the same
+ * thing (e.g. two `<meta name="description">`), so only one of them is kept.
+ *
+ * @param {Object} vnode - The head entry, converted to a vnode.
+ * @returns {String|null} The key, or null if the entry is never considered a duplicate.
+ */
+function headEntryKey(vnode) {
+  if (vnode === null || typeof vnode !== 'object' || typeof vnode.tag !== 'string') return null;
+  const attrs = vnode.attrs || {};
+
+  switch (vnode.tag) {
+    case 'title':
+    case 'base':
+      return vnode.tag;
+    case 'meta':
+      if (attrs.charset !== undefined) return 'meta[charset]';
+      for (const name of ['name', 'property', 'http-equiv', 'itemprop']) {
+        if (attrs[name] !== undefined && attrs[name] !== null) return `meta[${name}=${attrs[name]}]`;
+      }
+      return null;
+    case 'link':
+      if (attrs.rel === 'canonical') return 'link[rel=canonical]';
+      return attrs.href ? `link[rel=${attrs.rel}][href=${attrs.href}]` : null;
+    case 'script':
+      return attrs.src ? `script[src=${attrs.src}]` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * De-duplicates head entries. When several entries share a key (see headEntryKey),
+ * the last one wins but keeps the position of the first, so page-level entries
+ * contributed by nested components override the document-level defaults.
+ * `<meta charset>` is moved to the front, where browsers expect it.
+ *
+ * @param {Array<Object>} vnodes - The head entries, converted to vnodes.
+ * @returns {Array<Object>} The de-duplicated entries.
+ */
+function dedupeHeadEntries(vnodes) {
+  const result = [];
+  const positions = new Map();
+
+  for (const vnode of vnodes) {
+    if (vnode === null || vnode === undefined || typeof vnode === 'boolean') continue;
+    const key = headEntryKey(vnode);
+    if (key !== null && positions.has(key)) {
+      result[positions.get(key)] = vnode;
+    } else {
+      if (key !== null) positions.set(key, result.length);
+      result.push(vnode);
+    }
+  }
+
+  if (positions.has('meta[charset]')) {
+    const [charset] = result.splice(positions.get('meta[charset]'), 1);
+    result.unshift(charset);
+  }
+  return result;
+}
+
+export { HEAD_TAG, HeadCollector, headEntriesFromOptions, dedupeHeadEntries };
@@ -0,0 +1,515 @@
+import m from 'mithril';
+import { assertValidHiccup, isSequence, isAttrs } from './validate.js';
+import { getRenderContext } from './context.js';
+import { HEAD_TAG, HeadCollector } from './head.js';
+import { normalizeAttrs } from './attrs.js';
+import { isComponentReference, createRegistry, resolveComponent } from './registry.js';
+import { createActionTable, resolveActionAttrs } from './actions.js';
+import { RAW_TAG, createSafePolicy, sanitizeHiccup } from './sanitize.js';
+import { SUBTREE, createPluginPipeline } from './plugins.js';
+import { isThenable, startEarly, takeWork, moveStartedWork, awaitWork, viewAsync, isAsyncRendered } from './async.js';
+
+// Tag of error-boundary nodes: [':boundary', {fallback, onError}, ...children]
+const BOUNDARY_TAG = ':boundary';
+
+// The components created by createErrorBoundary, and the function component behind each
+// wrapper created by createFunctionComponentWrapper, for the testing utilities, which
+// look through them (see isErrorBoundary and unwrapFunctionComponent).
+const errorBoundaries = new WeakSet();
+const wrappedFunctionComponents = new WeakMap();
+
+// What each htm function created by createConverter converts with, for the renderers
+// that convert the same trees without it (see getConverterParts).
+const converterParts = new WeakMap();
+
+/**
+ * Reports an error contained by an error boundary.
+ *
+ * @param {Error} error - The error thrown while rendering the boundary's children.
+ * @param {Function} [onError] - The boundary's own `onError` attribute, if any.
+ */
+function reportBoundaryError(error, onError) {
+  if (typeof onError === 'function') {
+    onError(error);
+  } else {
+    console.error("Mithrilicup.boundary: Error while rendering a boundary's children, rendering its fallback instead:", error);
+  }
+}
+
+/**
+ * Creates the component behind [':boundary', {fallback, onError}, ...children] nodes,
+ * which converts its children and fallback with the given htm function.
+ *
+ * During server-side rendering (renderHtmToHtmlString, renderHtmToStream, renderDocument,
+ * renderHiccupToString) the boundary first renders its children on their own, with the options of the render in progress. If that throws, it renders `fallback`
+ * in their place and reports the error to its `onError` attribute (or logs it), so one
+ * failing widget does not blank the whole page.
+ *
+ * In the browser the children are simply rendered: Mithril's DOM renderer offers no
+ * way to contain an error thrown while rendering a subtree.
+ *
+ * @param {Function} htm - The htm function the boundary converts with.
+ * @returns {Object} The boundary component.
+ */
+function createErrorBoundary(htm) {
+  const ErrorBoundary = {
+    oninit(vnode, waitFor) {
+      // Only this library's renderers provide a render context.
+      const context = getRenderContext();
+      if (!context) return;
+      // renderHiccupToString renders synchronously, without waitFor.
+      if (context.sync) {
+        try {
+          this.html = context.render(htm([null, ...vnode.children]));
+        } catch (error) {
+          this.failed = true;
+          reportBoundaryError(error, vnode.attrs.onError);
+        }
+        return;
+      }
+      if (typeof waitFor !== 'function') return;
+      // Head entries contributed by a subtree that ends up replaced by the fallback are dropped.
+      const headLength = context.head ? context.head.length : 0;
+      waitFor(Promise.resolve()
+        .then(() => context.render(htm([null, ...vnode.children])))
+        .then((html) => {
+          this.html = html;
+        }, (error) => {
+          this.failed = true;
+          if (context.head) context.head.length = headLength;
+          reportBoundaryError(error, vnode.attrs.onError);
+        }));
+    },
+    view(vnode) {
+      if (this.failed) return htm(vnode.attrs.fallback);
+      if (this.html !== undefined) return m.trust(this.html);
+      return htm([null, ...vnode.children]);
+    }
+  };
+  errorBoundaries.add(ErrorBoundary);
+  return ErrorBoundary;
+}
+
+/**
+ * Whether development warnings are shown: everywhere but in production builds
+ * (`process.env.NODE_ENV === 'production'`).
+ */
+function isDevelopment() {
+  return typeof process === 'undefined' || !process.env || process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Reports what the safe mode removed from a tree (see sanitizeHiccup) to the `onRemove`
+ * function of the `safe` option, or logs it outside of production.
+ *
+ * @param {Array<{path: String, message: String}>} removed - What was removed.
+ * @param {Function} [onRemove] - The `onRemove` function of the `safe` option, if any.
+ */
+function reportRemoved(removed, onRemove) {
+  if (removed.length === 0) return;
+  if (typeof onRemove === 'function') {
+    onRemove(removed);
+  } else if (isDevelopment()) {
+    const lines = removed.map(({ path, message }) => `${path}: ${message}`);
+    console.warn(`Mithrilicup.htm: Removed unsafe content:\n${lines.join('\n')}`);
+  }
+}
+
+/**
+ * Applies the `safe` option to a tree: sanitizes it (see sanitizeHiccup) and reports what was removed.
+ *
+ * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup tree.
+ * @param {Boolean|Object} safe - The `safe` option (see createSafePolicy).
+ * @param {Function} isComponentTag - Tells whether a string tag names a component.
+ * @returns {Array|String|Number|Object|null|undefined|Boolean} The sanitized tree.
+ */
+function applySafeMode(hiccupNode, safe, isComponentTag) {
+  const policy = createSafePolicy(safe);
+  const { tree, removed } = sanitizeHiccup(hiccupNode, policy, isComponentTag);
+  reportRemoved(removed, policy.onRemove);
+  return tree;
+}
+
+/**
+ * Makes converted sequence items acceptable to Mithril, which throws if keyed and unkeyed
+ * siblings are mixed: in that case the keys are dropped (with a development warning),
+ * so the items still render, diffed by position.
+ *
+ * @param {Array} items - The converted items.
+ * @param {String} path - The path of the sequence, for the warning.
+ * @returns {Array} The items, without keys if they mixed keyed and unkeyed ones.
+ */
+function reconcileSequenceKeys(items, path) {
+  const isKeyed = item => item !== null && item !== undefined && item.key !== null && item.key !== undefined;
+  const keyedCount = items.filter(isKeyed).length;
+  if (keyedCount === 0 || keyedCount === items.length) return items;
+  if (isDevelopment()) {
+    console.warn(`Mithrilicup.htm: ${path}: sequence items must either all have keys or none have keys; rendering them without keys.`);
+  }
+  return items.map((item) => {
+    if (!isKeyed(item)) return item;
+    const unkeyed = { ...item, key: undefined };
+    // Async work may have been started for the vnode already (see startEarly).
+    moveStartedWork(item, unkeyed);
+    return unkeyed;
+  });
+}
+
+// Lifecycle hooks, besides oninit, that a closure-style function component may define.
+const LIFECYCLE_HOOKS = ['oncreate', 'onbeforeupdate', 'onupdate', 'onbeforeremove', 'onremove'];
+
+/**
+ * Tells whether a function component returned a component instance (closure style,
+ * `{oninit, oncreate, onremove, view, ...}`) rather than what to render.
+ */
+function isComponentInstance(value) {
+  return typeof value === 'object' && value !== null && !('tag' in value) && typeof value.view === 'function';
+}
+
+/**
+ * Creates the Mithril component that renders a function component, which createConverter
+ * creates once per function, so Mithril sees the same component on every redraw and keeps
+ * its DOM and state.
+ *
+ * The function is called with the component vnode's attributes and children. If it returns
+ * what to render, it is called again on every redraw. If it returns a component instance
+ * (`{view, oninit, oncreate, ...}`), it is only called once per component instance, like a
+ * Mithril closure component: the instance keeps its local state in the closure, and its
+ * `view` and lifecycle hooks are called with the component vnode.
+ *
+ * If it returns a Promise (an async function component), it is also only called once per
+ * component instance, and what the Promise resolves to is rendered; see awaitWork in async.js.
+ * In the browser, that subtree is then kept as is on redraws: use a `loader` attribute for
+ * components that must keep redrawing. If the Promise rejects, or the render times out,
+ * the `fallback` attribute is rendered instead, if there is one.
+ *
+ * @param {Function} functionComponent - The function component: (attrs, children) => vnode, instance or Promise.
+ * @param {Function} htm - The htm function that converts the fallback.
+ * @returns {Object} The wrapper component.
+ */
+function createFunctionComponentWrapper(functionComponent, htm) {
+  const wrapper = {
+    oninit(vnode, waitFor) {
+      // During server-side rendering, the function was already called while converting the tree.
+      const work = takeWork(vnode, () => functionComponent(vnode.attrs, vnode.children));
+      if (work.error) throw work.error;
+      const { result } = work;
+      if (isThenable(result)) {
+        awaitWork(this, work, waitFor, { render: output => output, hasFallback: vnode.attrs.fallback !== undefined });
+      } else if (isComponentInstance(result)) {
+        this.instance = result;
+        if (typeof result.oninit === 'function') result.oninit.call(result, vnode, waitFor);
+      } else {
+        // Rendered by the first view, so that the function isn't called twice for one render.
+        this.initialView = { result };
+      }
+    },
+    view(vnode) {
+      if (this.async) return viewAsync(this, output => output, () => htm(vnode.attrs.fallback));
+      if (this.instance) return this.instance.view.call(this.instance, vnode);
+      if (this.initialView) {
+        const { result } = this.initialView;
+        this.initialView = null;
+        return result;
+      }
+      return functionComponent(vnode.attrs, vnode.children);
+    }
+  };
+  for (const hook of LIFECYCLE_HOOKS) {
+    wrapper[hook] = function (...args) {
+      const instance = this.instance;
+      if (instance && typeof instance[hook] === 'function') return instance[hook].apply(instance, args);
+    };
+  }
+  const { onbeforeupdate } = wrapper;
+  wrapper.onbeforeupdate = function (...args) {
+    // Mithril can't render the same vnodes twice, so a resolved subtree is only rendered once.
+    if (isAsyncRendered(this)) return false;
+    return onbeforeupdate.apply(this, args);
+  };
+  wrappedFunctionComponents.set(wrapper, functionComponent);
+  return wrapper;
+}
+
+/**
+ * Tells whether a component is the error boundary behind ':boundary' nodes.
+ */
+function isErrorBoundary(component) {
+  return errorBoundaries.has(component);
+}
+
+/**
+ * Returns the function component that a wrapper component renders (see
+ * createFunctionComponentWrapper), or undefined if the component is not such a wrapper.
+ */
+function unwrapFunctionComponent(component) {
+  return wrappedFunctionComponents.get(component);
+}
+
+/**
+ * Creates the component behind component nodes with a `loader` attribute,
+ * [Component, {loader, fallback, ...attrs}, ...children], which converts the
+ * component and fallback with the given htm function.
+ *
+ * The loader is called once per component instance, with the other attributes, and the
+ * component is rendered once the Promise it returns resolves, with the result as its
+ * `data` attribute (and keeps being redrawn with it). If it rejects, or the render times
+ * out, `fallback` is rendered instead, if there is one. See awaitWork in async.js.
+ *
+ * @param {Function} htm - The htm function the loader component converts with.
+ * @returns {Object} The loader component.
+ */
+function createLoader(htm) {
+  return {
+    oninit(vnode, waitFor) {
+      const { load, render, fallback } = vnode.attrs;
+      awaitWork(this, takeWork(vnode, load), waitFor, { render, hasFallback: fallback !== undefined });
+    },
+    view(vnode) {
+      return viewAsync(this, vnode.attrs.render, () => htm(vnode.attrs.fallback));
+    }
+  };
+}
+
+/**
+ * Tells whether a function is a class component (a class with a `view` method),
+ * which Mithril instantiates itself, rather than a function component.
+ */
+function isClassComponent(fn) {
+  return typeof fn === 'function' && fn.prototype !== undefined && typeof fn.prototype.view === 'function';
+}
+
+/**
+ * Creates an htm function.
+ *
+ * @param {Object} [config={}]
+ * @param {Object<String, Object|Function>} [config.components={}] - Components that string tags
+ *        can reference by name, e.g. {'ui/Card': Card}; see createRegistry.
+ * @param {Object<String, Function>} [config.actions] - Actions that event handler attributes can
+ *        reference by name, e.g. {'cart/add': (payload, event) => ...}; see resolveActionAttrs.
+ * @param {Array<Function>} [config.plugins=[]] - Plugins that rewrite the nodes before they are
+ *        converted: (node, {path}) => node; see createPluginPipeline.
+ * @returns {Function} The htm function: (hiccupNode, options) => vnode.
+ */
+function createConverter({ components, actions, plugins } = {}) {
+  const registry = createRegistry(components);
+  const actionTable = createActionTable(actions);
+  const applyPlugins = createPluginPipeline(plugins);
+  const ErrorBoundary = createErrorBoundary(htm);
+  const Loader = createLoader(htm);
+  // The wrapper component of each function component (see createFunctionComponentWrapper).
+  const functionComponentWrappers = new WeakMap();
+
+  /**
+   * Converts a Hiccup-style JavaScript data structure into a Mithril.js virtual DOM node.
+   *
+   * Hiccup structure: ['tag#id.class', {optionalAttrs}, ...children]
+   * or for fragments: [null||undefined||'', {optionalAttrs}, ...children]
+   * or for sequences: [node, node, ...], where the first item is a Hiccup array or a vnode.
+   *
+   * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node.
+   *        - Array: ['tagOrComponent', {optionalAttrs}, ...children]
+   *          'tagOrComponent' can be:
+   *            - A string CSS selector (e.g., 'div#id.my-class').
+   *            - The name of a component registered with createHtm({components}): 'ui/Card' or ':Card'.
+   *            - A Mithril component object (e.g., {view: () => ...}) or a class component.
+   *            - A function. If not a Mithril component, it's treated as a function component: (attributes, childrenVnodes) => MithrilVnode,
+   *              a closure-style component returning {view, oninit, oncreate, ...}, or an async one returning a Promise
+   *              (see createFunctionComponentWrapper).
+   *            - null, undefined, or an empty string ('') to represent a document fragment (translates to Mithril's '[' selector).
+   *            - ':boundary' for an error boundary: [':boundary', {fallback, onError}, ...children] renders
+   *              `fallback` instead of the children if they fail to render on the server.
+   *            - ':head' for head entries: [':head', ['title', ...], ['meta', {...}]] renders nothing in place;
+   *              renderDocument hoists its children into the document's <head>.
+   *            - ':raw' for trusted HTML: [':raw', '<b>Bold</b>'] renders the string as HTML (m.trust).
+   *          On elements, `class` may also be an array (['btn', isActive && 'active']) or an object
+   *          ({btn: true, disabled: false}) and `style` an object with camelCase names and numbers
+   *          ({fontSize: 12} becomes font-size: 12px); see normalizeAttrs in attrs.js.
+   *          On components, a `loader` attribute, (attrs) => Promise, loads the component's `data` attribute
+   *          before it renders, and `fallback` is rendered if loading fails; see createLoader.
+   *          Event handlers may be action references, ['cart/add', {sku: 42}], resolved against the
+   *          actions registered with createHtm({actions}); see resolveActionAttrs in actions.js.
+   *          The plugins given to createHtm({plugins}) may rewrite each node before it is converted.
+   *        - Array whose first item is a Hiccup array or a vnode: a sequence, e.g. [['li', 'a'], ['li', 'b']].
+   *          It converts to the array of its converted items, which render in place as siblings.
+   *          If they mix keyed and unkeyed items, the keys are dropped, with a console warning outside of production.
+   *        - String/Number/Boolean: Treated as a text node.
+   *        - Object: If it's a Mithril component or an existing vnode, it's passed through.
+   *        - null/undefined: Ignored.
+   * @param {Object} [options={}]
+   * @param {Boolean} [options.strict=false] - Validate the whole tree first (see validateHiccup)
+   *        and throw a HiccupError listing every problem instead of converting a malformed tree.
+   * @param {Boolean|Object} [options.safe=false] - Remove what is unsafe in untrusted content before
+   *        converting it: disallowed elements and attributes, event handlers, javascript: URLs and raw
+   *        HTML (see sanitizeHiccup). `true` applies the default allowlists; an object can give
+   *        `allowedTags`, `allowedAttributes` and `onRemove`, called with what was removed.
+   * @returns {Object|Array|String|Number|null} A Mithril vnode, an array of them for a sequence, or a primitive/null value.
+   * @throws {HiccupError} In strict mode, if the tree is invalid.
+   */
+  function htm(hiccupNode, options = {}) {
+    if (options.strict) {
+      assertValidHiccup(hiccupNode);
+    }
+    const tree = options.safe ? applySafeMode(hiccupNode, options.safe, isComponentTag) : hiccupNode;
+    const subtree = options[SUBTREE];
+    return convert(tree, subtree ? subtree.path : 'root', subtree);
+  }
+
+  /**
+   * Tells whether a string tag names a component (including ':boundary' and ':head') rather than an element.
+   */
+  function isComponentTag(tag) {
+    return isComponentReference(tag) || registry.has(tag);
+  }
+
+  /**
+   * Converts a Hiccup node found at `path` in the tree (e.g. `root[2][1]`).
+   * The plugins are applied to it first, unless it is a `subtree` they were already applied to.
+   */
+  function convert(hiccupNode, path, subtree = null) {
+    // Handle non-array inputs (primitives, components, existing vnodes)
+    if (!Array.isArray(hiccupNode)) {
+      // Pass through strings, numbers, booleans, null, undefined, Mithril components, or existing vnodes directly.
+      // Mithril's m() handles these appropriately when they are children.
+      return hiccupNode;
+    }
+
+    // Handle empty Hiccup array (e.g., an empty conditional block)
+    if (hiccupNode.length === 0) {
+      return null; // Mithril treats null children as empty
+    }
+
+    // A sequence of nodes, e.g. the result of items.map(item => ['li', item]), converts to an
+    // array of its items, which m() renders in place as siblings (as a fragment).
+    if (isSequence(hiccupNode)) {
+      const items = hiccupNode.map((item, index) => convert(item, `${path}[${index}]`));
+      return reconcileSequenceKeys(items, path);
+    }
+
+    // Destructure the Hiccup array
+    let tagOrComponent = hiccupNode[0];
+    let attrs = {};
+    let childrenStartIndex = 1;
+
+    // Check for an attributes object
+    // It must be a plain object and not an array (which would be a child)
+    // and not a Mithril vnode or a POJO component (which would also be a child).
+    if (hiccupNode.length > 1 && isAttrs(hiccupNode[1])) {
+      attrs = hiccupNode[1];
+      childrenStartIndex = 2;
+    }
+
+    let childNodes = hiccupNode.slice(childrenStartIndex);
+
+    // Plugins may rewrite the node (see createPluginPipeline), or remove it. A subtree handed
+    // over by renderHiccupToString is rewritten already, and its children keep their paths.
+    if (subtree) {
+      childrenStartIndex = subtree.childrenStartIndex;
+    } else if (applyPlugins) {
+      const node = applyPlugins({ tag: tagOrComponent, attrs, children: childNodes }, path);
+      if (node === null) return null;
+      ({ tag: tagOrComponent, attrs, children: childNodes } = node);
+    }
+
+    // Error boundaries keep their children as Hiccup and convert them themselves,
+    // so that errors raised by the conversion are contained as well.
+    if (tagOrComponent === BOUNDARY_TAG) {
+      return m(ErrorBoundary, attrs, childNodes);
+    }
+
+    // Head entries are likewise handed over as Hiccup, to be converted once hoisted.
+    if (tagOrComponent === HEAD_TAG) {
+      return m(HeadCollector, attrs, childNodes);
+    }
+
+    // Raw HTML is trusted as it is.
+    if (tagOrComponent === RAW_TAG) {
+      return m.trust(childNodes.join(''));
+    }
+
+    // String tags may name a registered component ('ui/Card', ':Card').
+    if (typeof tagOrComponent === 'string') {
+      tagOrComponent = resolveComponent(registry, tagOrComponent, `${path}[0]`);
+    }
+
+    // Handle fragments: if tagOrComponent is null, undefined, or '', treat as Mithril fragment
+    if (tagOrComponent === null || tagOrComponent === undefined || tagOrComponent === '') {
+      tagOrComponent = '['; // Mithril's fragment selector
+      // Attributes on a fragment (e.g., for keys) will be passed to m('[', attrs, children).
+      // Mithril's m('[', attrs, children) supports this.
+    }
+
+    // Process children
+    // Recursively convert each child.
+    // This builds up the array of child vnodes or primitives.
+    // Mithril's m() function handles an array of children passed as the third argument.
+    const children = childNodes.map((child, index) => convert(child, `${path}[${childrenStartIndex + index}]`));
+
+    // Components with a loader are rendered once their data is loaded.
+    if (typeof tagOrComponent !== 'string' && typeof attrs.loader === 'function') {
+      const { loader, fallback, ...componentAttrs } = attrs;
+      const component = tagOrComponent;
+      const load = () => new Promise(resolve => resolve(loader(componentAttrs)));
+      const render = data => componentVnode(component, { ...componentAttrs, data }, children);
+      const vnode = m(Loader, { key: attrs.key, fallback, load, render });
+      startEarly(vnode, load, render);
+      return vnode;
+    }
+    if (typeof tagOrComponent !== 'string') {
+      return componentVnode(tagOrComponent, attrs, children);
+    }
+    // Element class and style values are normalized here, so that the DOM renderer and the
+    // server-side renderers receive the same strings (see attrs.js), and action references
+    // become event handlers plus the data-on-* attributes that carry them into the markup.
+    if (tagOrComponent !== '[') {
+      attrs = resolveActionAttrs(normalizeAttrs(attrs), actionTable, `${path}[1]`);
+    }
+    // Call Mithril's m() to create the virtual DOM node
+    // All attributes (including 'class', 'id', 'x-data', 'v-bind:foo', etc.)
+    // are passed directly to Mithril.
+    // Mithril handles CSS selectors in the tag string (e.g., 'div#myId.myClass').
+    return m(tagOrComponent, attrs, children);
+  }
+
+  /**
+   * Creates the vnode of a component. Function components are rendered by a wrapper component
+   * (the same one for every call), which receives the attributes and children like any Mithril
+   * component. During server-side rendering they are called right away (see startEarly in
+   * async.js), so that the async ones among siblings load concurrently.
+   */
+  function componentVnode(component, attrs, children) {
+    if (typeof component !== 'function' || component.view || component.tag /* not already a vnode or POJO component */ ||
+      isClassComponent(component)) {
+      return m(component, attrs, children);
+    }
+    let wrapper = functionComponentWrappers.get(component);
+    if (!wrapper) {
+      wrapper = createFunctionComponentWrapper(component, htm);
+      functionComponentWrappers.set(component, wrapper);
+    }
+    const vnode = m(wrapper, attrs, children);
+    startEarly(vnode, () => component(vnode.attrs, vnode.children));
+    return vnode;
+  }
+
+  converterParts.set(htm, { actionTable, applyPlugins, isComponentTag });
+  return htm;
+}
+
+/**
+ * Returns what an htm function created by createConverter converts with, so that other
+ * renderers resolve components, actions and plugins exactly as it does.
+ *
+ * @param {Function} htm - The htm function.
+ * @returns {{actionTable: Map<String, Function>|null, applyPlugins: Function|null, isComponentTag: Function}}
+ *          Its action table (see createActionTable), plugin pipeline (see createPluginPipeline)
+ *          and the function telling whether a string tag names a component.
+ */
+function getConverterParts(htm) {
+  return converterParts.get(htm);
+}
+
+// The htm function without registered components.
+const htm = createConverter();
+
+export { htm, createConverter, getConverterParts, applySafeMode, BOUNDARY_TAG, isErrorBoundary, unwrapFunctionComponent, isComponentInstance };
@@ -0,0 +1,330 @@
+import m from 'mithril';
+import { htm } from './htm.js';
+
+// Default id of the script tag that carries the serialized initial state.
+const DEFAULT_STATE_ID = 'htm-state';
+
+/**
+ * Escapes JSON for embedding in HTML: `<`, `>` and `&` can't close the script tag or
+ * start a comment, and U+2028/U+2029 can't break older JavaScript parsers.
+ * JSON.parse turns the escapes back into the original characters.
+ *
+ * @param {String} json - The JSON text.
+ * @returns {String} The escaped JSON text.
+ */
+function escapeJsonForHtml(json) {
+  return json.replace(/[<>&\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Serializes the initial state of a page into a `<script type="application/json">` tag
+ * that hydrate picks back up on the client. Use it on the server, next to (not inside)
+ * the element the page is hydrated into.
+ *
+ * @param {*} state - The state; anything JSON.stringify accepts (`undefined` becomes `null`).
+ * @param {Object} [options={}]
+ * @param {String} [options.id='htm-state'] - The id of the script tag.
+ * @returns {Array} A Hiccup node for the script tag, to be rendered with the page.
+ */
+function serializeState(state, { id = DEFAULT_STATE_ID } = {}) {
+  const json = JSON.stringify(state === undefined ? null : state);
+  return ['script', { type: 'application/json', id }, m.trust(escapeJsonForHtml(json))];
+}
+
+/**
+ * Reads the state written by serializeState.
+ *
+ * @param {Document} document - The document to read from.
+ * @param {String} id - The id of the script tag.
+ * @returns {*} The state, or undefined if there is no such script tag.
+ */
+function readState(document, id) {
+  const element = document.getElementById(id);
+  return element ? JSON.parse(element.textContent) : undefined;
+}
+
+/**
+ * Returns the position of `element` below `root` as a list of child indexes.
+ */
+function pathTo(root, element) {
+  const path = [];
+  for (let node = element; node && node !== root; node = node.parentElement) {
+    path.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
+  }
+  return path;
+}
+
+/**
+ * Finds the element at `path` below `root` (see pathTo), if there still is one.
+ */
+function elementAt(root, path) {
+  let node = root;
+  for (const index of path) {
+    node = node && node.children[index];
+  }
+  return node || null;
+}
+
+/**
+ * Records what the user did to the server-rendered markup before the client took
+ * over: the focused element (and its text selection) and edited form fields.
+ *
+ * @param {Element} root - The element being hydrated.
+ * @returns {{focus: Object|null, fields: Array<Object>}} The interaction state.
+ */
+function captureInteractionState(root) {
+  const document = root.ownerDocument;
+  const active = document.activeElement;
+  let focus = null;
+  if (active && active !== root && root.contains(active)) {
+    focus = { path: pathTo(root, active), tagName: active.tagName };
+    if (typeof active.selectionStart === 'number') {
+      focus.selectionStart = active.selectionStart;
+      focus.selectionEnd = active.selectionEnd;
+    }
+  }
+
+  const fields = [];
+  for (const field of root.querySelectorAll('input, textarea, select')) {
+    const record = { path: pathTo(root, field), tagName: field.tagName, type: field.type };
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      if (field.checked === field.defaultChecked) continue;
+      record.checked = field.checked;
+    } else if (field.tagName === 'SELECT') {
+      const changed = Array.prototype.some.call(field.options, option => option.selected !== option.defaultSelected);
+      if (!changed) continue;
+      record.selected = Array.prototype.map.call(field.options, option => option.selected);
+    } else {
+      if (field.value === field.defaultValue) continue;
+      record.value = field.value;
+    }
+    fields.push(record);
+  }
+
+  return { focus, fields };
+}
+
+/**
+ * Re-applies the interaction state recorded by captureInteractionState to the
+ * freshly rendered markup, wherever an element of the same kind sits at the same place.
+ *
+ * @param {Element} root - The hydrated element.
+ * @param {{focus: Object|null, fields: Array<Object>}} interaction - The recorded state.
+ */
+function restoreInteractionState(root, { focus, fields }) {
+  for (const record of fields) {
+    const field = elementAt(root, record.path);
+    if (!field || field.tagName !== record.tagName || field.type !== record.type) continue;
+    if (record.checked !== undefined) {
+      field.checked = record.checked;
+    } else if (record.selected !== undefined) {
+      record.selected.forEach((selected, index) => {
+        if (field.options[index]) field.options[index].selected = selected;
+      });
+    } else {
+      field.value = record.value;
+    }
+  }
+
+  if (focus) {
+    const element = elementAt(root, focus.path);
+    if (element && element.tagName === focus.tagName && typeof element.focus === 'function') {
+      element.focus();
+      if (focus.selectionStart !== undefined && typeof element.setSelectionRange === 'function') {
+        element.setSelectionRange(focus.selectionStart, focus.selectionEnd);
+      }
+    }
+  }
+}
+
+// Node types and the TreeWalker filter for elements and text (NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT).
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const DOCUMENT_FRAGMENT_NODE = 11;
+const SHOW_ELEMENTS_AND_TEXT = 0x1 | 0x4;
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Calls `callback` with every element vnode of a rendered vnode tree, including the
+ * output of components.
+ */
+function forEachElementVnode(vnodes, callback) {
+  for (const vnode of vnodes || []) {
+    if (vnode == null) continue;
+    if (typeof vnode.tag !== 'string') {
+      if (vnode.instance) forEachElementVnode([vnode.instance], callback);
+    } else if (vnode.tag === '[') {
+      forEachElementVnode(vnode.children, callback);
+    } else if (vnode.tag !== '#' && vnode.tag !== '<') {
+      callback(vnode);
+      forEachElementVnode(vnode.children, callback);
+    }
+  }
+}
+
+/**
+ * Removes the attributes of an adopted element that its vnode does not set, such as
+ * the `data-on-*` attributes the client binds as event handlers instead.
+ */
+function removeStaleAttributes(element, attrs) {
+  const names = new Set();
+  for (const [key, value] of Object.entries(attrs || {})) {
+    if (value == null || value === false || key.startsWith('on')) continue;
+    names.add(key === 'className' ? 'class' : key === 'htmlFor' ? 'for' : key);
+  }
+  for (const { name } of Array.from(element.attributes)) {
+    if (!names.has(name)) element.removeAttribute(name);
+  }
+}
+
+/**
+ * Lets the first client render adopt the server-rendered nodes below `root` instead of
+ * creating new ones. While it is active, the document hands out the next server node
+ * (in document order) whenever Mithril creates an element or text node that matches it,
+ * and appending an adopted node where it already is leaves it in place. Where a node
+ * does not match, a new one is created, and finish removes the server nodes that were
+ * not adopted, so the result is the client render either way.
+ *
+ * @param {Element} root - The element holding the server-rendered markup.
+ * @returns {{stop: Function, finish: Function}} `stop` stops adopting nodes, and `finish`
+ *          also removes what the render did not adopt, given the vnodes it rendered.
+ */
+function adoptServerNodes(root) {
+  const document = root.ownerDocument;
+  const walker = document.createTreeWalker(root, SHOW_ELEMENTS_AND_TEXT);
+  let next = walker.nextNode();
+  let adopting = true;
+  // Adopted parents and the last child placed in each, in order; the rest is left over.
+  const placed = new Map();
+
+  function place(parent, child) {
+    const previous = placed.get(parent);
+    const position = previous ? previous.nextSibling : parent.firstChild;
+    if (child.nodeType === DOCUMENT_FRAGMENT_NODE) {
+      const last = child.lastChild;
+      parent.insertBefore(child, position);
+      if (last) placed.set(parent, last);
+    } else {
+      if (child !== position) parent.insertBefore(child, position);
+      placed.set(parent, child);
+    }
+    return child;
+  }
+
+  function track(parent) {
+    placed.set(parent, null);
+    parent.appendChild = child => place(parent, child);
+  }
+
+  function adoptElement(namespace, tag) {
+    while (next && next.nodeType === TEXT_NODE && next.data.trim() === '') next = walker.nextNode();
+    const node = next;
+    if (!adopting || !node || node.nodeType !== ELEMENT_NODE || node.namespaceURI !== namespace || node.localName !== tag) {
+      return null;
+    }
+    next = walker.nextNode();
+    track(node);
+    return node;
+  }
+
+  function adoptText(text) {
+    const node = next;
+    if (!adopting || !node || node.nodeType !== TEXT_NODE || text === '') return null;
+    if (node.data !== text) {
+      if (node.data.startsWith(text)) node.splitText(text.length);
+      else node.data = text;
+    }
+    next = walker.nextNode();
+    return node;
+  }
+
+  const { createElement, createElementNS, createTextNode } = document;
+  document.createElement = (tag, options) =>
+    (options === undefined && adoptElement(HTML_NAMESPACE, String(tag).toLowerCase())) || createElement.call(document, tag, options);
+  document.createElementNS = (namespace, tag, options) =>
+    (options === undefined && adoptElement(namespace, tag)) || createElementNS.call(document, namespace, tag, options);
+  document.createTextNode = text => adoptText(text) || createTextNode.call(document, text);
+  track(root);
+
+  function stop() {
+    adopting = false;
+    delete document.createElement;
+    delete document.createElementNS;
+    delete document.createTextNode;
+  }
+
+  function finish(vnodes) {
+    stop();
+    forEachElementVnode(vnodes, (vnode) => {
+      if (placed.has(vnode.dom)) removeStaleAttributes(vnode.dom, vnode.attrs);
+    });
+    placed.forEach((last, parent) => {
+      delete parent.appendChild;
+      // Mithril manages the content of contenteditable elements itself.
+      if (parent !== root && parent.hasAttribute('contenteditable')) return;
+      while (last ? last.nextSibling : parent.firstChild) {
+        parent.removeChild(last ? last.nextSibling : parent.firstChild);
+      }
+    });
+  }
+
+  return { stop, finish };
+}
+
+/**
+ * Creates a hydrate function that converts the page with the given htm function.
+ *
+ * @param {Function} htm - The htm function (see createConverter).
+ * @returns {Function} The hydrate function.
+ */
+function createHydrate(htm) {
+  /**
+   * Takes over server-rendered markup on the client: mounts `hiccupComponent` into
+   * `rootElement` with the initial state the server rendered it with.
+   *
+   * The first render adopts the server-rendered nodes wherever the client renders the
+   * same element or text at the same place, so they are kept (with their listeners,
+   * focus and form values) and only the attributes, text and nodes that differ are
+   * updated, added or removed. What the user did before the client took over is also
+   * carried across the nodes that had to be replaced: the focused element and its text
+   * selection, and the values of edited form fields, are restored on the element of the
+   * same kind at the same position.
+   *
+   * @param {Element} rootElement - The element the server-rendered page was rendered into.
+   * @param {Object|Function|String} hiccupComponent - The page component, as accepted in the tag position
+   *        of a Hiccup node (including the name of a registered component). It receives the state as its `state` attribute.
+   * @param {Object} [options={}]
+   * @param {*} [options.state] - The initial state. Defaults to the state serialized with serializeState.
+   * @param {String} [options.stateId='htm-state'] - The id of the script tag written by serializeState.
+   * @returns {*} The initial state the component was mounted with.
+   */
+  function hydrate(rootElement, hiccupComponent, options = {}) {
+    const { stateId = DEFAULT_STATE_ID } = options;
+    const state = options.state !== undefined ? options.state : readState(rootElement.ownerDocument, stateId);
+
+    const interaction = captureInteractionState(rootElement);
+    // Mithril clears an element it has not rendered into before; an empty vnode list
+    // makes the first render create its nodes next to the server markup instead.
+    const adoption = rootElement.vnodes == null ? adoptServerNodes(rootElement) : null;
+    if (adoption) rootElement.vnodes = [];
+    try {
+      m.mount(rootElement, {
+        // The first lifecycle hook of the render, so components' own hooks create their nodes as usual.
+        oncreate: () => adoption && adoption.stop(),
+        view: () => htm([hiccupComponent, { state }])
+      });
+    } finally {
+      if (adoption) adoption.finish(rootElement.vnodes);
+    }
+    restoreInteractionState(rootElement, interaction);
+
+    return state;
+  }
+
+  return hydrate;
+}
+
+const hydrate = createHydrate(htm);
+
+export { hydrate, createHydrate, serializeState };
@@ -1,151 +1,339 @@
 import m from 'mithril';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { Readable } from 'node:stream';
 import renderToString from 'mithril-node-render';
+import { createConverter, getConverterParts } from './htm.js';
+import { htmlToHiccup, vnodeToHiccup } from './reverse.js';
+import { renderVnodeToChunks } from './stream.js';
+import { formatMarkup } from './format.js';
+import { createHiccupSerializer } from './serialize.js';
+import { HiccupError, validateHiccup, assertValidHiccup } from './validate.js';
+import { runInRenderContext, useRenderContextStorage } from './context.js';
+import { headEntriesFromOptions, dedupeHeadEntries } from './head.js';
+import { createHydrate, serializeState } from './hydrate.js';
+import { bindActions } from './actions.js';
+import { DEFAULT_ALLOWED_TAGS, DEFAULT_ALLOWED_ATTRIBUTES } from './sanitize.js';
+
+// Server-side renders run concurrently, so each keeps its render context in async-local storage.
+useRenderContextStorage(new AsyncLocalStorage());
 
 /**
- * Converts a Hiccup-style JavaScript data structure into a Mithril.js virtual DOM node.
- *
- * Hiccup structure: ['tag#id.class', {optionalAttrs}, ...children]
- * or for fragments: [null||undefined||'', {optionalAttrs}, ...children]
+ * Translates the render options of this library into mithril-node-render options.
+ * Here `strict` turns on Hiccup validation, so mithril-node-render's own strict mode
+ * (XHTML-style `<br/>` and `disabled=""`) is requested with `xhtml` instead, and
+ * `pretty` applies to the rendered markup (see formatMarkup).
  *
- * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node.
- *        - Array: ['tagOrComponent', {optionalAttrs}, ...children]
- *          'tagOrComponent' can be:
- *            - A string CSS selector (e.g., 'div#id.my-class').
- *            - A Mithril component object (e.g., {view: () => ...}) or a class component.
- *            - A function. If not a Mithril component, it's treated as a simple view function: (attributes, childrenVnodes) => MithrilVnode.
- *            - null, undefined, or an empty string ('') to represent a document fragment (translates to Mithril's '[' selector).
- *        - String/Number/Boolean: Treated as a text node.
- *        - Object: If it's a Mithril component or an existing vnode, it's passed through.
- *        - null/undefined: Ignored.
- * @returns {Object|String|Number|null} A Mithril vnode, or a primitive/null value.
+ * @param {Object} options - The options given to renderHtmToHtmlString, renderHtmToStream or renderDocument.
+ * @returns {Object} The options for the renderer.
  */
-function htm(hiccupNode) {
-  // Handle non-array inputs (primitives, components, existing vnodes)
-  if (!Array.isArray(hiccupNode)) {
-    // Pass through strings, numbers, booleans, null, undefined, Mithril components, or existing vnodes directly.
-    // Mithril's m() handles these appropriately when they are children.
-    return hiccupNode;
-  }
-
-  // Handle empty Hiccup array (e.g., an empty conditional block)
-  if (hiccupNode.length === 0) {
-    return null; // Mithril treats null children as empty
-  }
-
-  // Destructure the Hiccup array
-  let tagOrComponent = hiccupNode[0];
-  let attrs = {};
-  let childrenStartIndex = 1;
-
-  // Check for an attributes object
-  // It must be a plain object and not an array (which would be a child)
-  // and not a Mithril vnode (which would also be a child or component).
-  if (hiccupNode.length > 1 && typeof hiccupNode[1] === 'object' &&
-    hiccupNode[1] !== null && !Array.isArray(hiccupNode[1]) &&
-    // Check if it's not already a vnode or a POJO component
-    !('tag' in hiccupNode[1]) && !('view' in hiccupNode[1])) {
-    attrs = hiccupNode[1];
-    childrenStartIndex = 2;
-  }
-
-  // If tagOrComponent is an array (but not a Mithril POJO component, which has a .view),
-  // it's a nested Hiccup structure that needs to be resolved first.
-  // e.g., [['div', 'inner'], 'outer child'] -> htm(['div', 'inner']) becomes the tag.
-  if (Array.isArray(tagOrComponent) && typeof tagOrComponent.view !== 'function') {
-    tagOrComponent = htm(tagOrComponent);
+function toRendererOptions(options) {
+  const { strict, safe, xhtml, pretty, onError, timeout, lang, charset, title, meta, links, scripts, ...rendererOptions } = options;
+  if (xhtml) {
+    rendererOptions.strict = true;
   }
+  return rendererOptions;
+}
 
-  // Handle fragments: if tagOrComponent is null, undefined, or '', treat as Mithril fragment
-  if (tagOrComponent === null || tagOrComponent === undefined || tagOrComponent === '') {
-    tagOrComponent = '['; // Mithril's fragment selector
-    // Attributes on a fragment (e.g., for keys) will be passed to m('[', attrs, children).
-    // Mithril's m('[', attrs, children) supports this.
+/**
+ * Prepares the render context of a server-side render: its `render` function renders a
+ * vnode with the options of the render, and the `timeout` option becomes its `deadline`
+ * for async components and loaders (see async.js).
+ *
+ * @param {Object} context - The render context.
+ * @param {Object} options - The options given to renderHtmToHtmlString, renderHtmToStream or renderDocument.
+ * @param {Object} rendererOptions - The options for the renderer (see toRendererOptions).
+ * @returns {Object} The render context.
+ */
+function prepareRenderContext(context, options, rendererOptions) {
+  context.render = vnode => renderToString(vnode, rendererOptions);
+  if (options.timeout !== undefined) {
+    context.timeout = options.timeout;
+    context.deadline = Date.now() + options.timeout;
   }
+  return context;
+}
 
-  // Process children
-  // Recursively call htm for each child.
-  // This builds up the array of child vnodes or primitives.
-  // Mithril's m() function handles an array of children passed as the third argument.
-  const children = hiccupNode.slice(childrenStartIndex).map(child => htm(child));
-
-  // If tagOrComponent is a function, wrap it for mithril-node-render compatibility
-  // as it might expect a .view property on components.
-  if (typeof tagOrComponent === 'function' && !tagOrComponent.view && !tagOrComponent.tag /* not already a vnode or POJO component */) {
-    const originalFunctionComponent = tagOrComponent; // Store the original function
-    const attributesForComponent = attrs; // Capture the attributes intended for the component
-    // The 'children' variable is already the array of processed child vnodes/primitives from the map operation above.
-    tagOrComponent = {
-      view: () => originalFunctionComponent(attributesForComponent, children)
-    };
-    // Attrs are now passed into the function component's view, so m() shouldn't also pass them.
-    attrs = {};
+/**
+ * Applies the `onError` option of renderHtmToHtmlString to an error raised while rendering.
+ *
+ * @param {Error} error - The rendering error.
+ * @param {String|Function} [onError='log'] - 'log', 'throw', or a function returning replacement HTML.
+ * @returns {Promise<String>} The HTML to return in place of the page.
+ * @throws {Error} The rendering error, if onError is 'throw'.
+ */
+async function handleRenderError(error, onError = 'log') {
+  if (typeof onError === 'function') {
+    const replacement = await onError(error);
+    return replacement === null || replacement === undefined ? '' : String(replacement);
   }
-  // Call Mithril's m() to create the virtual DOM node
-  // All attributes (including 'class', 'id', 'x-data', 'v-bind:foo', etc.)
-  // are passed directly to Mithril.
-  // Mithril handles CSS selectors in the tag string (e.g., 'div#myId.myClass').
-  // If tagOrComponent resolved to a vnode and there are no further attrs/children from this level, return it directly.
-  if (typeof tagOrComponent === 'object' && tagOrComponent !== null && 'tag' in tagOrComponent &&
-    Object.keys(attrs).length === 0 && children.length === 0) {
-    return tagOrComponent;
+  if (onError === 'throw') {
+    throw error;
   }
-  return m(tagOrComponent, attrs, children);
+  console.error("Mithrilicup.renderHtmToHtmlString: Error during server-side rendering:", error);
+  return ``;
 }
 
 /**
- * Renders a Hiccup-style data structure to an HTML string using mithril-node-render.
+ * Builds the vdom root that the SSR renderers walk.
  *
- * @async
- * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node to render.
+ * @param {Function} htm - The htm function to convert with.
+ * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node to render,
  *          or an array of Hiccup nodes (e.g., [['div'], ['p']]) to be rendered as siblings.
- * @param {Object} [options={}] - Options to pass to mithril-node-render.
- * @returns {Promise<String>} A promise that resolves to the HTML string.
- *          Returns an empty string for null, undefined, or boolean root nodes,
- *          or if rendering fails (error logged to console).
+ * @param {Object} [options={}] - The render options; `strict` and `safe` are passed to htm.
+ * @returns {Object|Array|String|Number|null} The vdom root, or null if there is nothing to render.
+ * @throws {HiccupError} In strict mode, if the tree is invalid.
  */
-async function renderHtmToHtmlString(hiccupNode, options = {}) {
+function toVdomRoot(htm, hiccupNode, { strict, safe } = {}) {
   // Handle non-renderable root types early.
   if (hiccupNode === null || hiccupNode === undefined || typeof hiccupNode === 'boolean') {
-    return ""; // Return empty string for these non-renderable root types
+    return null;
   }
 
-  let vdomRoot;
-
-  // Heuristic: If hiccupNode is an array and its first element is also an array,
-  // treat hiccupNode as a list of Hiccup structures to be rendered as siblings.
-  // This distinguishes [['div'], ['p']] (list of roots)
-  // from ['div', ['p']] (single root with child).
-  // An empty array `[]` as hiccupNode will fall into the 'else' block.
-  if (Array.isArray(hiccupNode) && hiccupNode.length > 0 && Array.isArray(hiccupNode[0])) {
-    vdomRoot = hiccupNode.map(item => htm(item));
-  } else {
-    // Standard case: hiccupNode is a single Hiccup structure,
-    // or a primitive value, or an empty array [].
-    vdomRoot = htm(hiccupNode);
+  // A list of roots, e.g. [['div'], ['p']], is a sequence (its first item is a Hiccup node),
+  // so htm renders its items as siblings, the same way it does for sequences among children.
+  const vdomRoot = htm(hiccupNode, { strict, safe });
+
+  // If htm results in null (e.g., from `htm([])`),
+  // or an array of nulls (e.g. `htm([[]])` -> `[null]`),
+  // or a primitive boolean, the renderers will typically produce an empty string.
+  // This check ensures consistent empty output for these cases.
+  if (vdomRoot === undefined || typeof vdomRoot === 'boolean') {
+    return null;
   }
+  return vdomRoot;
+}
 
-  // If htm (or mapping htm) results in null (e.g., from `htm([])`),
-  // or if vdomRoot became an array of nulls (e.g. `htm([[]])` -> `[null]`),
-  // or a primitive boolean, renderToString will typically produce an empty string.
-  // This check ensures consistent empty string return for these cases.
-  if (vdomRoot === null || vdomRoot === undefined || typeof vdomRoot === 'boolean') {
-    return "";
+/**
+ * Implements renderHtmToHtmlString, rendering within the given render context
+ * so that callers can collect what components contribute to it (e.g. head entries).
+ *
+ * @async
+ * @param {Function} htm - The htm function to convert with.
+ * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node to render.
+ * @param {Object} options - The options of renderHtmToHtmlString.
+ * @param {Object} context - The render context; see prepareRenderContext.
+ * @param {Function} [finish] - Applied to the HTML if rendering succeeds, e.g. to format it.
+ * @returns {Promise<String>} A promise that resolves to the HTML string.
+ */
+async function renderInContext(htm, hiccupNode, options, context, finish = html => html) {
+  const rendererOptions = toRendererOptions(options);
+  prepareRenderContext(context, options, rendererOptions);
+  // In strict mode an invalid tree rejects; anything else that fails, converting included, goes to onError.
+  if (options.strict) {
+    assertValidHiccup(hiccupNode);
   }
 
   try {
+    // Converted in the render context, so that async components start loading right away.
+    const vdomRoot = runInRenderContext(context, () => toVdomRoot(htm, hiccupNode, { safe: options.safe }));
+    if (vdomRoot === null) {
+      return ""; // Return empty string for non-renderable roots
+    }
     // renderToString handles single vnodes, arrays of vnodes, strings, numbers.
     // It returns "" for null, undefined, booleans, [null], [undefined], [true], [false].
-    return await renderToString(vdomRoot, options);
+    return finish(await runInRenderContext(context, () => renderToString(vdomRoot, rendererOptions)));
   } catch (error) {
-    console.error("Mithrilicup.renderHtmToHtmlString: Error during server-side rendering:", error);
-    // Provide a safe error message in the HTML output for debugging.
-    // In production, you might want to throw the error or handle it differently.
-    return ``;
+    return handleRenderError(error, options.onError);
   }
 }
 
+/**
+ * Creates an instance of this library whose Hiccup trees can reference components by
+ * name, so that whole trees can be stored and sent as plain JSON.
+ *
+ * String tags that name a registered component resolve to it: `':Card'` looks up 'Card',
+ * and namespaced names such as `'ui/Card'` are looked up as they are. A `:Name` or
+ * namespaced tag that is not registered makes the conversion throw a HiccupError
+ * (renderHtmToHtmlString handles it with its `onError` option, unless it is inside an error boundary).
+ *
+ * Plugins rewrite the nodes of every tree before they are converted, so that shorthand
+ * (attribute bundles, class merging, translation keys, test IDs) is expanded in one pass.
+ *
+ * Event handlers can likewise be action references, {onclick: ['cart/add', {sku: 42}]}.
+ * They render as `data-on-click` attributes holding the reference, and become handlers
+ * calling `actions['cart/add'](payload, event)` wherever an action table is given
+ * (usually only on the client): in htm, in hydrate, and in bindActions, which binds
+ * them on server-rendered markup that is not hydrated.
+ *
+ * @param {Object} [config={}]
+ * @param {Object<String, Object|Function>} [config.components={}] - POJO, class or function
+ *        components by name, e.g. {'ui/Card': Card, Button}.
+ * @param {Object<String, Function>} [config.actions] - Actions by name, e.g. {'cart/add': (payload, event) => ...}.
+ *        Without it, action references are only rendered as attributes; with it, unknown ones are an error.
+ * @param {Array<Function>} [config.plugins=[]] - Plugins that rewrite each node before it is converted,
+ *        by htm and by every renderer: (node, {path}) => node; see createPluginPipeline.
+ * @returns {{htm: Function, renderHtmToHtmlString: Function, renderHiccupToString: Function,
+ *          renderHtmToStream: Function, renderDocument: Function, hydrate: Function, bindActions: Function}} The functions of this library,
+ *          bound to the components and actions.
+ * @throws {TypeError} If a registered value is not a component, or an action or plugin is not a function.
+ */
+function createHtm(config = {}) {
+  const htm = createConverter(config);
+  const parts = getConverterParts(htm);
+  const serialize = createHiccupSerializer(htm, parts);
+
+  /**
+   * Renders a Hiccup-style data structure to an HTML string using mithril-node-render.
+   *
+   * @async
+   * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node to render.
+   *          or an array of Hiccup nodes (e.g., [['div'], ['p']]) to be rendered as siblings.
+   * @param {Object} [options={}] - Options to pass to mithril-node-render, except for:
+   * @param {Boolean} [options.strict=false] - Validate the tree first (see validateHiccup) and reject
+   *          with a HiccupError listing every problem instead of rendering a malformed tree.
+   * @param {Boolean|Object} [options.safe=false] - Sanitize the tree first, for untrusted content: see htm.
+   *          Head entries of [':head', ...] nodes in the tree are sanitized as well.
+   * @param {Boolean} [options.xhtml=false] - mithril-node-render's own `strict` mode (`<br/>`, `disabled=""`).
+   * @param {Boolean|Object} [options.xml=false] - Render XML, e.g. feeds, sitemaps and SVG files: tags and
+   *          attributes are written as they are (`atom:link`, `xlink:href`), booleans as "true" and "false",
+   *          elements without content are self-closing, and an XML declaration comes first
+   *          (unless `{declaration: false}` is given).
+   * @param {Boolean|Object} [options.pretty=false] - Indent elements holding only other elements, one per line;
+   *          `{indent}` sets the indentation (a string, or a number of spaces; default 2). Text, inline
+   *          elements, and `pre`, `textarea`, `script` and `style` elements are left as rendered.
+   * @param {String|Function} [options.onError='log'] - What to do if rendering fails:
+   *          'log' logs the error to the console and resolves to an empty string,
+   *          'throw' rejects with the error, and a function is called with the error and
+   *          its return value (or resolved value) is used as the HTML of the page.
+   *          Use [':boundary', {fallback}, ...children] nodes to contain errors to a subtree instead.
+   * @param {Number} [options.timeout] - How long async function components and loaders may take, in
+   *          milliseconds from the start of the render. Those still loading then render their `fallback`
+   *          attribute, or fail the render if they have none.
+   * @returns {Promise<String>} A promise that resolves to the HTML string.
+   *          Returns an empty string for null, undefined, or boolean root nodes,
+   *          or if rendering fails with the default onError.
+   * @throws {HiccupError} In strict mode, if the tree is invalid.
+   */
+  async function renderHtmToHtmlString(hiccupNode, options = {}) {
+    return renderInContext(htm, hiccupNode, options, {}, html => formatMarkup(html, options));
+  }
+
+  /**
+   * Renders a Hiccup-style data structure to an HTML string synchronously, serializing
+   * elements straight to HTML instead of building a vnode tree and walking it again.
+   * Meant for bulk rendering (static pages, sitemaps, emails) where that is the bottleneck.
+   *
+   * The HTML is the same as renderHtmToHtmlString's. Components are still rendered through
+   * Mithril, but synchronously: async function components, loaders and components that
+   * call `waitFor` in oninit make it throw. Errors are thrown rather than handled with
+   * `onError`; error boundaries contain them as usual.
+   *
+   * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node to render,
+   *          or an array of Hiccup nodes (e.g., [['div'], ['p']]) to be rendered as siblings.
+   * @param {Object} [options={}] - The options of renderHtmToHtmlString, except `onError` and `timeout`.
+   * @returns {String} The HTML string; an empty string for null, undefined, or boolean root nodes.
+   * @throws {HiccupError} In strict mode, if the tree is invalid.
+   * @throws {Error} If a component fails, or needs to wait for something.
+   */
+  function renderHiccupToString(hiccupNode, options = {}) {
+    return formatMarkup(serialize(hiccupNode, options, toRendererOptions(options)), options);
+  }
+
+  /**
+   * Renders a Hiccup-style body to a complete HTML document:
+   * `<!DOCTYPE html><html lang><head>...</head><body>...</body></html>`.
+   *
+   * The `<head>` is built from the document-level options plus the entries of every
+   * [':head', ...entries] node rendered in the body, which may sit in any nested
+   * component. Entries that describe the same thing are de-duplicated, the last one
+   * winning (so a page's own title or description overrides the defaults given here):
+   * `title`, `base`, `meta` by `charset`/`name`/`property`/`http-equiv`/`itemprop`,
+   * the canonical `link`, other `link`s by `rel` and `href`, and `script`s by `src`.
+   *
+   * @async
+   * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupBody - The Hiccup content of `<body>`.
+   * @param {Object} [options={}] - The options of renderHtmToHtmlString (applied to the body;
+   *          `xml` and `pretty` format the whole document), plus:
+   * @param {String} [options.lang] - The `lang` attribute of `<html>`.
+   * @param {String|null} [options.charset='utf-8'] - The `<meta charset>` value; null leaves it out.
+   * @param {String} [options.title] - The default document title.
+   * @param {Array<Object>} [options.meta=[]] - Attributes of `<meta>` tags, e.g. {name: 'viewport', content: '...'}.
+   * @param {Array<Object>} [options.links=[]] - Attributes of `<link>` tags, e.g. {rel: 'stylesheet', href: '/app.css'}.
+   * @param {Array<String|Object>} [options.scripts=[]] - Script URLs, or attributes of `<script>` tags, e.g. {src: '/app.js', defer: true}.
+   * @returns {Promise<String>} A promise that resolves to the HTML document.
+   * @throws {HiccupError} In strict mode, if the body is invalid.
+   */
+  async function renderDocument(hiccupBody, options = {}) {
+    const { lang, charset = 'utf-8', title, meta, links, scripts } = options;
+    const context = { head: [] };
+    const body = await renderInContext(htm, hiccupBody, options, context);
+
+    const entries = [...headEntriesFromOptions({ charset, title, meta, links, scripts }), ...context.head];
+    // Sequences of entries, e.g. [':head', tags.map(...)], convert to arrays; their entries are de-duplicated one by one.
+    const head = dedupeHeadEntries(entries.map(entry => htm(entry)).flat(Infinity));
+    const html = await renderToString(
+      m('html', { lang }, [m('head', head), m('body', m.trust(body))]),
+      toRendererOptions(options)
+    );
+    return formatMarkup(`<!DOCTYPE html>${html}`, options);
+  }
+
+  /**
+   * Renders a Hiccup-style data structure to a stream of HTML chunks.
+   *
+   * The output is byte-identical to renderHtmToHtmlString, but it is sent as the tree
+   * is walked: buffered HTML is flushed every `options.chunkSize` characters and before
+   * waiting on any async component (one that registers a promise through
+   * `oninit(vnode, waitFor)`), so the start of the page can reach the client early.
+   *
+   * Unlike renderHtmToHtmlString, a rendering error cannot blank output that has already
+   * been sent, so it destroys the stream with that error instead of being swallowed
+   * (`onError` does not apply). Error boundaries work the same in both renderers.
+   *
+   * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node to render,
+   *          or an array of Hiccup nodes (e.g., [['div'], ['p']]) to be rendered as siblings.
+   * @param {Object} [options={}] - The same options as renderHtmToHtmlString (`strict` validation,
+   *          `safe`, `xhtml`, `xml`, `pretty`, `timeout`, and mithril-node-render's escapeText and escapeAttribute)
+   *          plus `chunkSize` (default 16384). With `xml` or `pretty`, the markup is formatted as a whole,
+   *          so it is sent in one chunk once the tree has been rendered.
+   * @returns {Readable} A Node.js Readable of HTML strings, which is also an async iterable.
+   *          It ends without emitting anything for null, undefined, or boolean root nodes.
+   */
+  function renderHtmToStream(hiccupNode, options = {}) {
+    // Convert lazily so that errors raised by htm also surface on the stream.
+    async function* chunks() {
+      const rendererOptions = toRendererOptions(options);
+      const context = prepareRenderContext({}, options, rendererOptions);
+      const vdomRoot = runInRenderContext(context, () => toVdomRoot(htm, hiccupNode, options));
+      if (!options.xml && !options.pretty) {
+        yield* renderVnodeToChunks(vdomRoot, rendererOptions, context);
+        return;
+      }
+      let html = '';
+      for await (const chunk of renderVnodeToChunks(vdomRoot, rendererOptions, context)) html += chunk;
+      if (html !== '') yield formatMarkup(html, options);
+    }
+    return Readable.from(chunks());
+  }
+
+  return {
+    htm,
+    renderHtmToHtmlString,
+    renderHiccupToString,
+    renderHtmToStream,
+    renderDocument,
+    hydrate: createHydrate(htm),
+    bindActions: rootElement => bindActions(rootElement, parts.actionTable)
+  };
+}
+
+// The functions of this library without registered components.
+const { htm, renderHtmToHtmlString, renderHiccupToString, renderHtmToStream, renderDocument, hydrate } = createHtm();
+
 export default {
+  createHtm,
   htm,
   renderHtmToHtmlString,
+  renderHiccupToString,
+  renderHtmToStream,
+  renderDocument,
+  hydrate,
+  serializeState,
+  validateHiccup,
+  HiccupError,
+  htmlToHiccup,
+  vnodeToHiccup,
+  // The allowlists of the `safe` option, to extend: {safe: {allowedTags: [...safeDefaults.allowedTags, 'video']}}
+  safeDefaults: { allowedTags: DEFAULT_ALLOWED_TAGS, allowedAttributes: DEFAULT_ALLOWED_ATTRIBUTES },
   m: m // Re-export Mithril's m for users who might need direct access or for advanced component patterns
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+// Option of htm telling it that the node was already rewritten by the plugins, by a renderer
+// that applies them itself (renderHiccupToString): {path, childrenStartIndex}, where the node
+// was found in the tree and where its children started in the original node (1 or 2),
+// so that they keep their paths. Not part of the public options.
+const SUBTREE = Symbol('subtree');
+
+/**
+ * Builds the function that applies the plugins of a createHtm instance to a node.
+ *
+ * A plugin is a function called with each Hiccup element (components and special nodes
+ * such as ':boundary' included) before it is converted, as `{tag, attrs, children}`
+ * (`attrs` is `{}` if the node has none, `children` the Hiccup children, not yet converted),
+ * and with `{path}`, the node's path in the tree (e.g. `root[2][1]`). It returns the node
+ * to convert instead (a new object: the given one must not be modified), `undefined` to
+ * keep it, or `null` to remove it. The plugins are applied in order, each to what the
+ * previous one returned, and then to the children, as they are converted. The children of
+ * error boundaries and head nodes, and fallbacks, are converted on their own once rendered,
+ * so their paths start over at `root`.
+ *
+ * @param {Array<Function>} [plugins=[]] - The plugins: (node, {path}) => node, undefined or null.
+ * @returns {Function|null} The function applying them: (node, path) => node or null;
+ *          null if there are no plugins.
+ * @throws {TypeError} If a plugin is not a function.
+ */
+function createPluginPipeline(plugins = []) {
+  plugins.forEach((plugin, index) => {
+    if (typeof plugin !== 'function') {
+      throw new TypeError(`Plugin ${index} must be a function.`);
+    }
+  });
+  if (plugins.length === 0) return null;
+
+  return function applyPlugins(node, path) {
+    let current = node;
+    for (const [index, plugin] of plugins.entries()) {
+      const result = plugin(current, { path });
+      if (result === null) return null;
+      if (result === undefined) continue;
+      if (typeof result !== 'object' || !Array.isArray(result.children)) {
+        throw new TypeError(`Plugin ${index} must return a node ({tag, attrs, children}), undefined or null.`);
+      }
+      current = { tag: result.tag, attrs: result.attrs || {}, children: result.children };
+    }
+    return current;
+  };
+}
+
+export { SUBTREE, createPluginPipeline };
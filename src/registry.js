@@ -0,0 +1,60 @@
+import { HiccupError } from './validate.js';
+
+/**
+ * Tells whether a string tag names a registered component rather than an element:
+ * `:Name` (e.g. ':Card') or a name with a namespace (e.g. 'ui/Card').
+ * Slashes inside a selector's attribute part (e.g. 'a[href=/home]') don't count.
+ *
+ * @param {*} tag - The tag of a Hiccup node.
+ * @returns {Boolean} True if the tag is a component reference.
+ */
+function isComponentReference(tag) {
+  return typeof tag === 'string' && (tag.startsWith(':') || /^[^#.[]*\//.test(tag));
+}
+
+/**
+ * Builds the lookup table of a component registry.
+ *
+ * @param {Object<String, Object|Function>} [components={}] - Components by name, e.g. {'ui/Card': Card, Button}.
+ *        A leading colon in a name is optional: 'Card' and ':Card' both register the name 'Card'.
+ * @returns {Map<String, Object|Function>} The components by name, without leading colons.
+ * @throws {TypeError} If a registered value is not a component.
+ */
+function createRegistry(components = {}) {
+  const registry = new Map();
+  for (const [name, component] of Object.entries(components)) {
+    const isComponent = typeof component === 'function' ||
+      (typeof component === 'object' && component !== null && typeof component.view === 'function');
+    if (!isComponent) {
+      throw new TypeError(`Component "${name}" must be a POJO component (with a view method), a class component or a function component.`);
+    }
+    registry.set(name.startsWith(':') ? name.slice(1) : name, component);
+  }
+  return registry;
+}
+
+/**
+ * Resolves a string tag against a component registry.
+ *
+ * Any string tag that is registered resolves to its component (':Card' looks up 'Card').
+ * Component references (see isComponentReference) that are not registered are an error;
+ * other strings are element selectors and are returned as they are.
+ *
+ * @param {Map<String, Object|Function>} registry - The registry (see createRegistry).
+ * @param {String} tag - The tag of a Hiccup node.
+ * @param {String} path - The path of the tag in the tree, for the error message.
+ * @returns {String|Object|Function} The component, or the tag itself if it is a selector.
+ * @throws {HiccupError} If the tag references a component that is not registered.
+ */
+function resolveComponent(registry, tag, path) {
+  const name = tag.startsWith(':') ? tag.slice(1) : tag;
+  if (registry.has(name)) {
+    return registry.get(name);
+  }
+  if (isComponentReference(tag)) {
+    throw new HiccupError([{ path, message: `unknown component "${tag}"` }]);
+  }
+  return tag;
+}
+
+export { isComponentReference, createRegistry, resolveComponent };
@@ -0,0 +1,421 @@
+import { decodeHTML, decodeHTMLAttribute } from 'entities';
+import { RAW_TAG } from './sanitize.js';
+
+// Elements that never have children or a closing tag in HTML.
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'command', 'embed', 'hr', 'img', 'input',
+  'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is not parsed as markup.
+// RAW_TEXT content is taken verbatim, ESCAPABLE_RAW_TEXT content still has its entities decoded.
+const RAW_TEXT_TAGS = new Set(['script', 'style']);
+const ESCAPABLE_RAW_TEXT_TAGS = new Set(['textarea', 'title']);
+
+// Roots of foreign content: tag and attribute case is significant inside them
+// and `<tag />` self-closes.
+const FOREIGN_ROOTS = new Set(['svg', 'math']);
+
+// Opening one of these tags implicitly closes a still-open `<p>`.
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Opening the key tag implicitly closes a still-open element from the value list.
+const IMPLIED_END_TAGS = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  option: ['option'],
+  optgroup: ['optgroup', 'option'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  thead: ['tbody', 'tfoot', 'tr', 'td', 'th'],
+  tbody: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+  tfoot: ['thead', 'tbody', 'tr', 'td', 'th']
+};
+
+const TAG_NAME = /[A-Za-z][^\s/>]*/y;
+const ATTRIBUTE = /[\s/]*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+const START_TAG_END = /[\s/]*?(\/?)>/y;
+const END_TAG = /<\/([A-Za-z][^\s/>]*)[^>]*>/y;
+
+/**
+ * Decodes character references (`&amp;`, `&eacute;`, `&#169;`, `&#xA9;`) in text, with the
+ * full table of HTML5 named references and its rules for references without a semicolon.
+ *
+ * @param {String} text - The raw text.
+ * @returns {String} The decoded text.
+ */
+function decodeEntities(text) {
+  return decodeHTML(text);
+}
+
+/**
+ * Whether a value can be written into a Mithril selector (`tag#id.class`) without
+ * being misread by Mithril's selector parser.
+ *
+ * @param {String} value - An id or a single class name.
+ * @returns {Boolean}
+ */
+function isSelectorSafe(value) {
+  return /^[^#.[\]\s]+$/.test(value);
+}
+
+/**
+ * Builds a Hiccup element, folding `id` and `class` attributes back into the selector
+ * whenever Mithril would parse them back out unchanged.
+ *
+ * Attributes named `tag` or `view` would make htm read the attributes object as a vnode or
+ * a component, and one named `key` would become the vnode key, so the given reserved names
+ * are written in the selector's attribute form instead: ['meta[tag="x"]'].
+ *
+ * @param {String} tag - The element name.
+ * @param {Object} attrs - The element's attributes.
+ * @param {Array} children - The element's (already converted) Hiccup children.
+ * @param {Array<String>} [reserved=['tag', 'view']] - The attribute names to write in the selector.
+ * @returns {Array} A Hiccup node: ['tag#id.class[name="value"]', {optionalAttrs}, ...children].
+ */
+function toHiccupElement(tag, attrs, children, reserved = ['tag', 'view']) {
+  const rest = { ...attrs };
+  let selector = tag;
+
+  if (typeof rest.id === 'string' && isSelectorSafe(rest.id)) {
+    selector += `#${rest.id}`;
+    delete rest.id;
+  }
+
+  if (typeof rest.class === 'string') {
+    const classes = rest.class.split(/\s+/).filter(Boolean);
+    if (classes.length > 0 && classes.every(isSelectorSafe)) {
+      selector += classes.map(className => `.${className}`).join('');
+      delete rest.class;
+    }
+  }
+
+  for (const name of reserved) {
+    const value = rest[name];
+    if (typeof value !== 'string' && typeof value !== 'number' && value !== true) continue;
+    selector += value === true ? `[${name}]` : `[${name}="${String(value).replace(/["\\]/g, '\\$&')}"]`;
+    delete rest[name];
+  }
+
+  return Object.keys(rest).length > 0 ? [selector, rest, ...children] : [selector, ...children];
+}
+
+/**
+ * Appends a text child, merging it with a preceding text child so that
+ * adjacent text (e.g. around a dropped comment) stays a single string.
+ *
+ * @param {Array} children - The children list to append to.
+ * @param {String} text - The decoded text.
+ */
+function appendText(children, text) {
+  if (text === '') return;
+  const last = children.length - 1;
+  if (last >= 0 && typeof children[last] === 'string') {
+    children[last] += text;
+  } else {
+    children.push(text);
+  }
+}
+
+/**
+ * Converts a parsed element record (see htmlToHiccup) into Hiccup, recursively.
+ *
+ * @param {Object} element - `{tag, attrs, children}` as built by the parser.
+ * @param {Boolean} trimWhitespace - Whether whitespace-only text children are dropped.
+ * @returns {Array} The Hiccup node.
+ */
+function elementRecordToHiccup(element, trimWhitespace) {
+  const children = [];
+  for (const child of element.children) {
+    if (Array.isArray(child)) {
+      // Raw content of a script or style element.
+      children.push(child);
+    } else if (typeof child === 'string') {
+      if (trimWhitespace && child.trim() === '' && element.tag !== 'pre' && element.tag !== 'textarea') continue;
+      children.push(child);
+    } else {
+      children.push(elementRecordToHiccup(child, trimWhitespace));
+    }
+  }
+  // HTML attributes are never vnode keys, so `key` is reserved as well.
+  return toHiccupElement(element.tag, element.attrs, children, ['key', 'tag', 'view']);
+}
+
+/**
+ * Wraps a list of top-level Hiccup nodes the way `htm` expects a root:
+ * nothing becomes `null`, a single node is returned as-is and several
+ * nodes become a fragment (`[null, ...nodes]`).
+ *
+ * @param {Array} nodes - The top-level nodes.
+ * @returns {Array|String|null}
+ */
+function toRoot(nodes) {
+  if (nodes.length === 0) return null;
+  if (nodes.length === 1) return nodes[0];
+  return [null, ...nodes];
+}
+
+/**
+ * Parses an HTML string into a Hiccup-style data structure that `htm` and
+ * `renderHtmToHtmlString` accept.
+ *
+ * - Elements become `['tag#id.class', {optionalAttrs}, ...children]`. `id` and `class`
+ *   are folded into the selector unless they contain characters Mithril's selector
+ *   parser would misread, in which case they stay in the attributes object.
+ * - Attributes without a value (e.g. `disabled`) become `true`.
+ * - Character references are decoded in text and attribute values; `script` and
+ *   `style` content is kept verbatim, as raw HTML (`['script', [':raw', code]]`), so
+ *   that the renderers do not escape it.
+ * - Inside `svg` and `math`, tag and attribute case is preserved (`viewBox`,
+ *   `linearGradient`) and namespace attributes such as `xmlns` and `xlink:href`
+ *   are kept as written.
+ * - Comments, doctypes and processing instructions are dropped.
+ * - Several top-level nodes are returned as a fragment: `[null, ...nodes]`.
+ *
+ * This is a forgiving parser for templates and CMS fragments, not a full HTML5
+ * tree builder: unmatched end tags are ignored, unclosed elements are closed at
+ * the end of input, and only the common implied end tags (`li`, `p`, `td`, ...) are handled.
+ *
+ * @param {String} html - The HTML source.
+ * @param {Object} [options={}]
+ * @param {Boolean} [options.trimWhitespace=false] - Drop whitespace-only text nodes
+ *        (outside of `pre` and `textarea`), which is handy for indented source markup.
+ * @returns {Array|String|null} The Hiccup node, a string for text-only input, or `null` for empty input.
+ */
+function htmlToHiccup(html, options = {}) {
+  const source = html === null || html === undefined ? '' : String(html);
+  const root = { tag: null, attrs: {}, children: [], foreign: false };
+  const stack = [root];
+  let index = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  const closeElement = (tagName) => {
+    const name = tagName.toLowerCase();
+    for (let depth = stack.length - 1; depth > 0; depth--) {
+      if (stack[depth].tag.toLowerCase() === name) {
+        stack.length = depth;
+        return;
+      }
+    }
+    // An end tag without a matching open element is ignored.
+  };
+
+  while (index < source.length) {
+    const parent = current();
+
+    if (source.startsWith('<!--', index)) {
+      const end = source.indexOf('-->', index + 4);
+      index = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<![CDATA[', index)) {
+      const end = source.indexOf(']]>', index + 9);
+      appendText(parent.children, source.slice(index + 9, end === -1 ? source.length : end));
+      index = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<!', index) || source.startsWith('<?', index)) {
+      const end = source.indexOf('>', index + 2);
+      index = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    if (source.startsWith('</', index)) {
+      END_TAG.lastIndex = index;
+      const match = END_TAG.exec(source);
+      if (match) {
+        closeElement(match[1]);
+        index = END_TAG.lastIndex;
+        continue;
+      }
+    }
+
+    if (source[index] === '<') {
+      TAG_NAME.lastIndex = index + 1;
+      const nameMatch = TAG_NAME.exec(source);
+      if (nameMatch) {
+        let cursor = TAG_NAME.lastIndex;
+        const attrs = {};
+        const rawName = nameMatch[0];
+        const lowerName = rawName.toLowerCase();
+        const foreign = parent.foreign || FOREIGN_ROOTS.has(lowerName);
+        const tag = parent.foreign ? rawName : lowerName;
+
+        // Attributes
+        for (;;) {
+          START_TAG_END.lastIndex = cursor;
+          if (START_TAG_END.test(source)) break;
+          ATTRIBUTE.lastIndex = cursor;
+          const attrMatch = ATTRIBUTE.exec(source);
+          if (!attrMatch) break;
+          const name = foreign ? attrMatch[1] : attrMatch[1].toLowerCase();
+          const rawValue = attrMatch[2] ?? attrMatch[3] ?? attrMatch[4];
+          if (!Object.prototype.hasOwnProperty.call(attrs, name)) {
+            attrs[name] = rawValue === undefined ? true : decodeHTMLAttribute(rawValue);
+          }
+          cursor = ATTRIBUTE.lastIndex;
+        }
+
+        START_TAG_END.lastIndex = cursor;
+        const endMatch = START_TAG_END.exec(source);
+        const selfClosing = Boolean(endMatch && endMatch[1]);
+        if (endMatch) {
+          index = START_TAG_END.lastIndex;
+        } else {
+          // Malformed start tag: skip whatever is left of it.
+          const end = source.indexOf('>', cursor);
+          index = end === -1 ? source.length : end + 1;
+        }
+
+        // Implied end tags only apply to HTML content.
+        if (!foreign) {
+          const open = current();
+          const openName = open.tag && !open.foreign ? open.tag : null;
+          if (openName === 'p' && CLOSES_P.has(tag)) {
+            stack.pop();
+          } else if (openName && IMPLIED_END_TAGS[tag] && IMPLIED_END_TAGS[tag].includes(openName)) {
+            stack.pop();
+          }
+        }
+
+        const element = { tag, attrs, children: [], foreign };
+        current().children.push(element);
+
+        if ((!foreign && VOID_TAGS.has(tag)) || (foreign && selfClosing)) {
+          continue;
+        }
+
+        if (!foreign && (RAW_TEXT_TAGS.has(tag) || ESCAPABLE_RAW_TEXT_TAGS.has(tag))) {
+          const closing = new RegExp(`</${tag}\\s*>`, 'ig');
+          closing.lastIndex = index;
+          const closeMatch = closing.exec(source);
+          const end = closeMatch ? closeMatch.index : source.length;
+          const text = source.slice(index, end);
+          if (RAW_TEXT_TAGS.has(tag)) {
+            if (text !== '') element.children.push([RAW_TAG, text]);
+          } else {
+            appendText(element.children, decodeEntities(text));
+          }
+          index = closeMatch ? closing.lastIndex : source.length;
+          continue;
+        }
+
+        stack.push(element);
+        continue;
+      }
+    }
+
+    // Text up to the next tag (a lone '<' that starts no tag is text as well).
+    let end = source.indexOf('<', index + 1);
+    if (end === -1) end = source.length;
+    appendText(parent.children, decodeEntities(source.slice(index, end)));
+    index = end;
+  }
+
+  const trimWhitespace = Boolean(options.trimWhitespace);
+  const nodes = [];
+  for (const child of root.children) {
+    if (typeof child === 'string') {
+      if (trimWhitespace && child.trim() === '') continue;
+      nodes.push(child);
+    } else {
+      nodes.push(elementRecordToHiccup(child, trimWhitespace));
+    }
+  }
+  return toRoot(nodes);
+}
+
+/**
+ * Copies a vnode's attributes into a Hiccup attributes object: Mithril's
+ * `className` becomes `class` again, and `null`/`undefined` values (which render
+ * nothing) are dropped.
+ *
+ * @param {Object|null|undefined} attrs - The vnode's attrs.
+ * @returns {Object} The Hiccup attributes.
+ */
+function vnodeAttrsToHiccup(attrs) {
+  const result = {};
+  if (attrs === null || attrs === undefined) return result;
+  for (const key of Object.keys(attrs)) {
+    const value = attrs[key];
+    if (value === null || value === undefined) continue;
+    result[key === 'className' ? 'class' : key] = value;
+  }
+  return result;
+}
+
+/**
+ * Converts a list of vnode children into Hiccup children, skipping holes.
+ *
+ * @param {Array|undefined} children - The vnode's children.
+ * @returns {Array}
+ */
+function vnodeChildrenToHiccup(children) {
+  if (!Array.isArray(children)) return [];
+  const result = [];
+  for (const child of children) {
+    const converted = vnodeToHiccup(child);
+    if (converted !== null) result.push(converted);
+  }
+  return result;
+}
+
+/**
+ * Converts a Mithril vnode (as produced by `m()`, `htm` or a render pass) back into
+ * the Hiccup shape `htm` consumes.
+ *
+ * - Elements become `['tag#id.class', {optionalAttrs}, ...children]`, with `id` and
+ *   `class`/`className` folded back into the selector where possible.
+ * - Fragments become `[null, {key}?, ...children]`.
+ * - Trusted HTML (`m.trust`) is parsed with htmlToHiccup.
+ * - Components that have been rendered (their `vnode.instance` is set) are replaced by
+ *   the Hiccup of what they rendered; unrendered components are kept as
+ *   `[component, {optionalAttrs}, ...children]`.
+ * - Text vnodes become strings; `null`, `undefined` and booleans become `null`.
+ * - SVG tag and attribute names are kept exactly as they appear on the vnode.
+ *
+ * @param {Object|Array|String|Number|Boolean|null|undefined} vnode - The vnode (or list of vnodes).
+ * @returns {Array|String|Number|null} The Hiccup node.
+ */
+function vnodeToHiccup(vnode) {
+  if (vnode === null || vnode === undefined || typeof vnode === 'boolean') return null;
+  if (Array.isArray(vnode)) return [null, ...vnodeChildrenToHiccup(vnode)];
+  if (typeof vnode !== 'object') return vnode;
+
+  const { tag } = vnode;
+
+  if (tag === '#') return String(vnode.children);
+  if (tag === '<') return htmlToHiccup(vnode.children);
+
+  if (tag === '[') {
+    const attrs = vnodeAttrsToHiccup(vnode.attrs);
+    const children = vnodeChildrenToHiccup(vnode.children);
+    return Object.keys(attrs).length > 0 ? [null, attrs, ...children] : [null, ...children];
+  }
+
+  if (typeof tag === 'string') {
+    const children = vnode.text !== null && vnode.text !== undefined
+      ? [String(vnode.text)]
+      : vnodeChildrenToHiccup(vnode.children);
+    return toHiccupElement(tag, vnodeAttrsToHiccup(vnode.attrs), children);
+  }
+
+  // Components: prefer what was actually rendered, if anything was.
+  if (vnode.instance !== null && vnode.instance !== undefined) {
+    return vnodeToHiccup(vnode.instance);
+  }
+  const attrs = vnodeAttrsToHiccup(vnode.attrs);
+  const children = vnodeChildrenToHiccup(vnode.children);
+  return Object.keys(attrs).length > 0 ? [tag, attrs, ...children] : [tag, ...children];
+}
+
+export { htmlToHiccup, vnodeToHiccup, decodeEntities };
@@ -0,0 +1,197 @@
+import { isSequence, isAttrs } from './validate.js';
+import { compileSelector } from './selector.js';
+
+// Tag of raw HTML nodes: [':raw', html]. Only for trusted HTML: the safe mode removes them.
+const RAW_TAG = ':raw';
+
+// Elements kept by the safe mode unless `allowedTags` is given.
+const DEFAULT_ALLOWED_TAGS = [
+  'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption',
+  'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img',
+  'ins', 'kbd', 'li', 'main', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp',
+  'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot',
+  'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+];
+
+// Attributes kept by the safe mode unless `allowedAttributes` is given: by tag, and for every
+// tag under '*'. A trailing '*' matches any suffix ('aria-*').
+const DEFAULT_ALLOWED_ATTRIBUTES = {
+  '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-*', 'data-*'],
+  a: ['href', 'target', 'rel', 'hreflang'],
+  blockquote: ['cite'],
+  col: ['span'],
+  colgroup: ['span'],
+  del: ['cite', 'datetime'],
+  details: ['open'],
+  img: ['src', 'alt', 'width', 'height'],
+  ins: ['cite', 'datetime'],
+  li: ['value'],
+  ol: ['start', 'reversed', 'type'],
+  q: ['cite'],
+  td: ['colspan', 'rowspan', 'headers'],
+  th: ['colspan', 'rowspan', 'headers', 'scope'],
+  time: ['datetime']
+};
+
+const hasOwn = Object.prototype.hasOwnProperty;
+
+// Attributes holding URLs, whose javascript: and data: values are removed.
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'cite', 'xlink:href']);
+
+// Ignores what browsers ignore in a URL scheme: whitespace and control characters anywhere.
+const UNSAFE_URL = /^(?:javascript|vbscript|data):/i;
+const IGNORED_URL_CHARACTERS = /[\x00-\x20\x7f]/g;
+
+/**
+ * Builds the policy of the safe mode from the `safe` option.
+ *
+ * @param {Boolean|Object} safe - `true` for the defaults, or:
+ * @param {Array<String>} [safe.allowedTags] - The elements to keep; others are removed with their content.
+ * @param {Object<String, Array<String>>} [safe.allowedAttributes] - The attributes to keep, by tag and under '*' for all tags.
+ * @param {Function} [safe.onRemove] - Called with what was removed, as `[{path, message}]`.
+ * @returns {{allowedTags: Set<String>, allowedAttributes: Map<String, Array<String>>, onRemove: Function}} The policy.
+ */
+function createSafePolicy(safe) {
+  const { allowedTags = DEFAULT_ALLOWED_TAGS, allowedAttributes = DEFAULT_ALLOWED_ATTRIBUTES, onRemove } =
+    typeof safe === 'object' && safe !== null ? safe : {};
+  return {
+    allowedTags: new Set(allowedTags.map(tag => tag.toLowerCase())),
+    allowedAttributes: new Map(Object.entries(allowedAttributes)
+      .map(([tag, names]) => [tag.toLowerCase(), names.map(name => name.toLowerCase())])),
+    onRemove
+  };
+}
+
+function matchesName(pattern, name) {
+  return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+}
+
+/**
+ * Tells why the safe mode removes an attribute, if it does.
+ *
+ * @param {Object} policy - The policy (see createSafePolicy).
+ * @param {String} tagName - The lowercased element name.
+ * @param {String} name - The attribute name.
+ * @param {*} value - The attribute value.
+ * @returns {String|null} The reason, or null if the attribute is kept.
+ */
+function attributeRemovalReason(policy, tagName, name, value) {
+  const lowerName = name.toLowerCase();
+  // data-on-* attributes carry action references, which bindActions turns into handlers.
+  if (lowerName.startsWith('on') || lowerName.startsWith('data-on-')) {
+    return `removed event handler attribute "${name}"`;
+  }
+  const patterns = [...(policy.allowedAttributes.get('*') || []), ...(policy.allowedAttributes.get(tagName) || [])];
+  if (!patterns.some(pattern => matchesName(pattern, lowerName))) {
+    return `removed attribute "${name}", which is not allowed on <${tagName}>`;
+  }
+  // The renderers and the DOM write any other value as a string, e.g. ['javascript:...'] as javascript:...
+  if (URL_ATTRIBUTES.has(lowerName) && value !== null && value !== undefined && typeof value !== 'boolean' &&
+    UNSAFE_URL.test(String(value).replace(IGNORED_URL_CHARACTERS, ''))) {
+    return `removed unsafe URL in "${name}"`;
+  }
+  return null;
+}
+
+/**
+ * Removes the unsafe parts of a Hiccup tree, as the `safe` option of htm and the
+ * server-side renderers does before converting it. The tree is copied, never modified.
+ *
+ * - Elements whose tag is not allowed are removed with their content, as are raw HTML
+ *   nodes ([':raw', html]) and vnode objects, which could carry any markup.
+ * - Event handler attributes (`on*`, and the `data-on-*` attributes of action references)
+ *   are removed, as are attributes that are not allowed on their element and
+ *   `javascript:`, `vbscript:` and `data:` URLs in `href`, `src`, `action` and the like.
+ *   Attributes written in the selector ('a#id.class[href=...]') are checked the same way.
+ * - Components are trusted code: they are kept with their attributes, except for their
+ *   `fallback` attribute, which is sanitized like their children, and what they render
+ *   themselves is not sanitized.
+ *
+ * @param {Array|String|Number|Object|null|undefined|Boolean} tree - The Hiccup tree.
+ * @param {Object} policy - The policy (see createSafePolicy).
+ * @param {Function} isComponentTag - Tells whether a string tag names a component.
+ * @returns {{tree: *, removed: Array<{path: String, message: String}>}} The sanitized tree and
+ *          what was removed, each with its path in the tree (as in HiccupError issues).
+ */
+function sanitizeHiccup(tree, policy, isComponentTag) {
+  const removed = [];
+
+  function remove(path, message) {
+    removed.push({ path, message });
+    return null;
+  }
+
+  function sanitizeNode(node, path) {
+    if (!Array.isArray(node)) {
+      if (typeof node === 'object' && node !== null && typeof node.view !== 'function') {
+        return remove(path, 'removed vnode object');
+      }
+      return node;
+    }
+    if (node.length === 0) return node;
+    if (isSequence(node)) {
+      return node.map((item, index) => sanitizeNode(item, `${path}[${index}]`));
+    }
+
+    const tag = node[0];
+    const hasAttrs = node.length > 1 && isAttrs(node[1]);
+    let attrs = hasAttrs ? node[1] : {};
+    const childrenStartIndex = hasAttrs ? 2 : 1;
+    const children = () => node.slice(childrenStartIndex)
+      .map((child, index) => sanitizeNode(child, `${path}[${childrenStartIndex + index}]`));
+    // Rebuilds the node with the same shape, so that its children keep their paths.
+    const rebuild = (head, safeAttrs) => (hasAttrs ? [head, safeAttrs, ...children()] : [head, ...children()]);
+
+    if (tag === RAW_TAG) {
+      return remove(path, 'removed raw HTML');
+    }
+    if (tag === null || tag === undefined || tag === '') {
+      return rebuild(tag, attrs);
+    }
+    if (typeof tag !== 'string' || isComponentTag(tag)) {
+      if (attrs.fallback !== undefined) {
+        attrs = { ...attrs, fallback: sanitizeNode(attrs.fallback, `${path}[1].fallback`) };
+      }
+      return rebuild(tag, attrs);
+    }
+
+    const { tag: selectorTag, attrs: compiledAttrs } = compileSelector(tag);
+    const { id, className, ...selectorAttrs } = compiledAttrs || {};
+    const name = selectorTag.toLowerCase();
+    const classes = className === undefined ? [] : String(className).split(/\s+/).filter(Boolean);
+    if (!policy.allowedTags.has(name)) {
+      return remove(`${path}[0]`, `removed element <${name}>, which is not allowed`);
+    }
+    // What is allowed stays where it was given (the selector or the attributes object), so that the
+    // node keeps its shape and renders the same; selector attributes the object overrides are dropped.
+    let selector = name;
+    if (id !== undefined) {
+      const reason = attributeRemovalReason(policy, name, 'id', id);
+      if (reason) remove(`${path}[0]`, reason);
+      else selector += `#${id}`;
+    }
+    if (classes.length > 0) {
+      const reason = attributeRemovalReason(policy, name, 'class', classes.join(' '));
+      if (reason) remove(`${path}[0]`, reason);
+      else selector += `.${classes.join('.')}`;
+    }
+    for (const [attrName, value] of Object.entries(selectorAttrs)) {
+      if (hasOwn.call(attrs, attrName)) continue;
+      const reason = attrName === 'key' ? null : attributeRemovalReason(policy, name, attrName, value);
+      if (reason) remove(`${path}[0].${attrName}`, reason);
+      else selector += value === true ? `[${attrName}]` : `[${attrName}="${String(value).replace(/["\\]/g, '\\$&')}"]`;
+    }
+    const safeAttrs = {};
+    for (const [attrName, value] of Object.entries(attrs)) {
+      const reason = attrName === 'key' ? null : attributeRemovalReason(policy, name, attrName, value);
+      if (reason) remove(`${path}[1].${attrName}`, reason);
+      else safeAttrs[attrName] = value;
+    }
+    return rebuild(selector, safeAttrs);
+  }
+
+  return { tree: sanitizeNode(tree, 'root'), removed };
+}
+
+export { RAW_TAG, DEFAULT_ALLOWED_TAGS, DEFAULT_ALLOWED_ATTRIBUTES, createSafePolicy, sanitizeHiccup };
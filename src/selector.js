@@ -0,0 +1,49 @@
+// The same selector syntax Mithril's m() parses: tag#id.class[attr=value].
+const SELECTOR_PARSER = /(?:(^|#|\.)([^#.[\]]+))|(\[(.+?)(?:\s*=\s*("|'|)((?:\\["'\]]|.)*?)\5)?\])/g;
+
+// Compiled selectors by selector, like Mithril's own cache.
+const selectorCache = new Map();
+
+/**
+ * Compiles a selector the way Mithril's m() does: the tag name, then the attributes it
+ * gives, in order (`id` and `[attr=value]`s as they appear, then `className`). Quoted
+ * values are unescaped and `[class=...]` values are added to the classes as Mithril does,
+ * so the safe mode and renderHiccupToString read selectors the same as the renderers.
+ *
+ * @param {String} selector - The selector, e.g. 'a#home.nav[href=/]'.
+ * @returns {{tag: String, attrs: Object|null}} The compiled selector, shared between calls:
+ *          it must not be modified.
+ */
+function compileSelector(selector) {
+  let compiled = selectorCache.get(selector);
+  if (compiled) return compiled;
+
+  let tag = 'div';
+  const classes = [];
+  const attrs = {};
+  let match;
+  SELECTOR_PARSER.lastIndex = 0;
+  while ((match = SELECTOR_PARSER.exec(selector)) !== null) {
+    const [, type, value, attr, attrName, , attrValue] = match;
+    if (type === '' && value !== '') {
+      tag = value;
+    } else if (type === '#') {
+      attrs.id = value;
+    } else if (type === '.') {
+      classes.push(value);
+    } else if (attr !== undefined) {
+      const unescaped = attrValue ? attrValue.replace(/\\(["'])/g, '$1').replace(/\\\\/g, '\\') : attrValue;
+      if (attrName === 'class') {
+        classes.push(unescaped);
+      } else {
+        attrs[attrName] = unescaped === '' ? unescaped : unescaped || true;
+      }
+    }
+  }
+  if (classes.length > 0) attrs.className = classes.join(' ');
+  compiled = { tag, attrs: Object.keys(attrs).length > 0 ? attrs : null };
+  selectorCache.set(selector, compiled);
+  return compiled;
+}
+
+export { compileSelector };
@@ -0,0 +1,152 @@
+import renderToString from 'mithril-node-render';
+import { assertValidHiccup, isSequence, isAttrs } from './validate.js';
+import { runInRenderContext } from './context.js';
+import { normalizeAttrs } from './attrs.js';
+import { resolveActionAttrs } from './actions.js';
+import { RAW_TAG } from './sanitize.js';
+import { compileSelector } from './selector.js';
+import { applySafeMode } from './htm.js';
+import { SUBTREE } from './plugins.js';
+import { VOID_TAGS, createAttrString } from './stream.js';
+
+const hasOwn = Object.prototype.hasOwnProperty;
+
+/**
+ * Merges the attributes of a compiled selector with those of the attributes object, in the
+ * order Mithril's m() leaves them (which is the order they are rendered in).
+ *
+ * @param {{tag: String, attrs: Object|null}} compiled - The compiled selector.
+ * @param {Object} attrs - The attributes object; it is not modified.
+ * @returns {Object} The element's attributes.
+ */
+function mergeSelectorAttrs(compiled, attrs) {
+  const hasClass = hasOwn.call(attrs, 'class');
+  const className = hasClass ? attrs.class : attrs.className;
+  let merged = { ...compiled.attrs, ...attrs };
+  const selectorClassName = compiled.attrs ? compiled.attrs.className : undefined;
+  if (selectorClassName !== null && selectorClassName !== undefined) {
+    merged.className = className !== null && className !== undefined
+      ? `${selectorClassName} ${className}`
+      : selectorClassName;
+  } else if (className !== null && className !== undefined) {
+    merged.className = className;
+  }
+  if (hasClass) merged.class = null;
+  // Mithril sets the type of inputs first.
+  if (compiled.tag === 'input' && hasOwn.call(merged, 'type')) {
+    merged = { type: merged.type, ...merged };
+  }
+  return merged;
+}
+
+/**
+ * Creates renderHiccupToString for the components and actions of a createHtm instance.
+ *
+ * It serializes Hiccup elements straight to HTML, without creating vnodes, and produces
+ * the same HTML as renderHtmToHtmlString: the same escaping, void elements, boolean
+ * attributes, and attribute order (SVG and other elements are written as they are given,
+ * case included), after applying the plugins. Components, including boundaries and head
+ * nodes, are converted with htm and rendered by mithril-node-render's synchronous renderer,
+ * within a render context, so they render the same as well. They cannot wait for anything,
+ * though: async components, loaders and `waitFor` are not supported.
+ *
+ * @param {Function} htm - The htm function that converts components.
+ * @param {Object} parts - What htm converts with (see getConverterParts), so that elements
+ *        are serialized with the same actions and plugins, and components are recognized alike:
+ * @param {Map<String, Function>|null} parts.actionTable - The action table (see createActionTable).
+ * @param {Function|null} parts.applyPlugins - The plugin pipeline (see createPluginPipeline).
+ * @param {Function} parts.isComponentTag - Tells whether a string tag names a component.
+ * @returns {Function} The serializer: (hiccupNode, {strict, safe}, rendererOptions) => html.
+ */
+function createHiccupSerializer(htm, { actionTable, applyPlugins, isComponentTag }) {
+
+  /**
+   * Serializes a Hiccup tree to HTML.
+   *
+   * @param {Array|String|Number|Object|null|undefined|Boolean} hiccupNode - The Hiccup node.
+   * @param {{strict: Boolean, safe: Boolean|Object}} options - Validate or sanitize the tree first, as htm does.
+   * @param {Object} rendererOptions - The mithril-node-render options (escapeText, escapeAttribute, xml, strict).
+   * @returns {String} The HTML.
+   * @throws {HiccupError} In strict mode, if the tree is invalid.
+   */
+  return function serialize(hiccupNode, { strict = false, safe = false } = {}, rendererOptions = {}) {
+    if (strict) {
+      assertValidHiccup(hiccupNode);
+    }
+    const tree = safe ? applySafeMode(hiccupNode, safe, isComponentTag) : hiccupNode;
+
+    const escapeText = rendererOptions.escapeText ? rendererOptions.escapeText.bind(rendererOptions) : renderToString.escapeText;
+    const escapeAttribute = rendererOptions.escapeAttribute
+      ? rendererOptions.escapeAttribute.bind(rendererOptions)
+      : renderToString.escapeAttribute;
+    const xml = Boolean(rendererOptions.xml);
+    const strictMarkup = xml || Boolean(rendererOptions.strict);
+    const context = { sync: true, render: vnode => renderToString.sync(vnode, rendererOptions) };
+    let html = '';
+
+    function writeNode(node, path) {
+      if (Array.isArray(node)) {
+        if (node.length === 0) return;
+        if (isSequence(node)) {
+          node.forEach((item, index) => writeNode(item, `${path}[${index}]`));
+        } else {
+          writeElement(node, path);
+        }
+      } else if (typeof node === 'string' || typeof node === 'number') {
+        html += escapeText(`${node}`);
+      } else if (node !== null && node !== undefined && typeof node !== 'boolean') {
+        // Vnodes and bare components.
+        html += context.render(node);
+      }
+    }
+
+    function writeElement(node, path) {
+      let tag = node[0];
+      const hasAttrs = node.length > 1 && isAttrs(node[1]);
+      let attrs = hasAttrs ? node[1] : {};
+      const childrenStartIndex = hasAttrs ? 2 : 1;
+      let childNodes = node.slice(childrenStartIndex);
+
+      if (applyPlugins) {
+        const rewritten = applyPlugins({ tag, attrs, children: childNodes }, path);
+        if (rewritten === null) return;
+        ({ tag, attrs, children: childNodes } = rewritten);
+      }
+      const writeChildren = () => {
+        childNodes.forEach((child, index) => writeNode(child, `${path}[${childrenStartIndex + index}]`));
+      };
+
+      if (tag === RAW_TAG) {
+        html += childNodes.join('');
+        return;
+      }
+      if (tag === null || tag === undefined || tag === '') {
+        writeChildren();
+        return;
+      }
+      if (typeof tag !== 'string' || isComponentTag(tag)) {
+        html += context.render(htm([tag, attrs, ...childNodes], { [SUBTREE]: { path, childrenStartIndex } }));
+        return;
+      }
+
+      const compiled = compileSelector(tag);
+      html += `<${compiled.tag}`;
+      const elementAttrs = mergeSelectorAttrs(compiled, resolveActionAttrs(normalizeAttrs(attrs), actionTable, `${path}[1]`));
+      html += createAttrString(elementAttrs, { escapeAttribute, xml, strict: strictMarkup });
+      if (!xml && VOID_TAGS.test(compiled.tag)) {
+        html += strictMarkup ? '/>' : '>';
+      } else {
+        html += '>';
+        writeChildren();
+        html += `</${compiled.tag}>`;
+      }
+    }
+
+    return runInRenderContext(context, () => {
+      writeNode(tree, 'root');
+      return html;
+    });
+  };
+}
+
+export { createHiccupSerializer };
@@ -0,0 +1,213 @@
+import m from 'mithril';
+import Vnode from 'mithril/render/vnode.js';
+import renderToString from 'mithril-node-render';
+import { runInRenderContext } from './context.js';
+
+// Same list mithril-node-render uses, so both renderers agree on which elements get no closing tag.
+const VOID_TAGS = /^(?:area|base|br|col|command|embed|hr|img|input|keygen|link|meta|param|source|track|wbr|!doctype)$/i;
+
+// Yielded by the walker when enough output has been buffered to be worth sending.
+const FLUSH = Symbol('flush');
+
+const DEFAULT_CHUNK_SIZE = 16384;
+
+const hasOwn = Object.prototype.hasOwnProperty;
+
+function toStyleKey(str) {
+  if (str[0] === '-' && str[1] === '-') {
+    return str;
+  }
+  return str
+    .replace(/\W+/g, '-')
+    .replace(/([a-z\d])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+/**
+ * Writes the attributes of an element the way mithril-node-render does: `className` as
+ * `class`, style objects as CSS, booleans as present or absent (or "true" and "false" in
+ * XML), and without functions, null and undefined.
+ *
+ * @param {Object|null|undefined} attrs - The element's attributes.
+ * @param {{escapeAttribute: Function, xml: Boolean, strict: Boolean}} options - The attribute
+ *        escaping, and whether to write XML and `name=""` for empty values.
+ * @returns {String} The attributes, each preceded by a space.
+ */
+function createAttrString(attrs, { escapeAttribute, xml, strict }) {
+  let html = '';
+  for (const key in attrs) {
+    if (hasOwn.call(attrs, key)) {
+      let value = attrs[key];
+      if (value === null || value === undefined || typeof value === 'function') continue;
+      const name = key === 'className' ? 'class' : key;
+
+      if (name === 'style' && typeof value === 'object') {
+        const props = [];
+        for (const styleKey of Object.keys(value)) {
+          const prop = value[styleKey];
+          if (prop) props.push(`${toStyleKey(styleKey)}:${prop}`);
+        }
+        if (!props.length) continue;
+        value = props.join(';');
+      }
+
+      if (typeof value === 'boolean') {
+        if (xml) value = value ? 'true' : 'false';
+        else if (!value) continue;
+        else value = '';
+      } else {
+        value = '' + value;
+      }
+
+      html += ` ${name}`;
+      if (strict || value !== '') {
+        html += `="${escapeAttribute(value)}"`;
+      }
+    }
+  }
+  return html;
+}
+
+/**
+ * Walks a Mithril vnode tree and writes its HTML into `output.buffer`.
+ *
+ * This mirrors mithril-node-render's own coroutine so that the streamed output is
+ * byte-identical to `renderHtmToHtmlString`. It yields either an array of promises
+ * registered through `oninit(vnode, waitFor)` that must settle before the walk can
+ * continue, or FLUSH once `options.chunkSize` characters have been buffered.
+ *
+ * @param {Object|Array|String|Number|null} view - The root vnode (or component).
+ * @param {Object} options - Render options (escapeText, escapeAttribute, xml, strict, chunkSize).
+ * @param {{buffer: String}} output - Receives the rendered HTML.
+ */
+function* walk(view, options, output) {
+  if (view === null || view === undefined) return;
+  if (view.view || typeof view === 'function') {
+    // root component
+    view = m(view);
+  }
+
+  const hooks = [];
+  const escapeAttribute = options.escapeAttribute ? options.escapeAttribute.bind(options) : renderToString.escapeAttribute;
+  const escapeText = options.escapeText ? options.escapeText.bind(options) : renderToString.escapeText;
+  const xml = Boolean(options.xml);
+  const strict = xml || Boolean(options.strict);
+  const chunkSize = options.chunkSize > 0 ? options.chunkSize : DEFAULT_CHUNK_SIZE;
+
+  function write(value) {
+    output.buffer += value;
+  }
+
+  function* setHooks(source, vnode) {
+    const promises = [];
+    if (source.oninit) {
+      source.oninit.call(vnode.state, vnode, (promise) => { promises.push(promise); });
+    }
+    if (source.onremove) {
+      hooks.push(source.onremove.bind(vnode.state, vnode));
+    }
+    if (promises.length) yield promises;
+  }
+
+  function* renderComponent(vnode) {
+    if (typeof vnode.tag !== 'function') {
+      vnode.state = Object.create(vnode.tag);
+    } else if (vnode.tag.prototype && vnode.tag.prototype.view) {
+      vnode.state = new vnode.tag(vnode);
+    } else {
+      vnode.state = vnode.tag(vnode);
+    }
+
+    yield* setHooks(vnode.state, vnode);
+    if (vnode.attrs !== null && vnode.attrs !== undefined) yield* setHooks(vnode.attrs, vnode);
+    vnode.instance = Vnode.normalize(vnode.state.view(vnode));
+    if (vnode.instance !== null && vnode.instance !== undefined) yield* renderNode(vnode.instance);
+  }
+
+  function* renderElement(vnode) {
+    write(`<${vnode.tag}`);
+    write(createAttrString(vnode.attrs, { escapeAttribute, xml, strict }));
+    // Don't write children for void HTML elements
+    if (!xml && VOID_TAGS.test(vnode.tag)) {
+      write(strict ? '/>' : '>');
+    } else {
+      write('>');
+      if (vnode.text !== null && vnode.text !== undefined) {
+        const text = '' + vnode.text;
+        if (text !== '') write(escapeText(text));
+      } else {
+        yield* renderChildren(vnode.children);
+      }
+      write(`</${vnode.tag}>`);
+    }
+  }
+
+  function* renderChildren(vnodes) {
+    for (const child of vnodes) {
+      if (child !== null && child !== undefined) yield* renderNode(child);
+    }
+  }
+
+  function* renderNode(vnode) {
+    if (vnode === null || vnode === undefined) return;
+    if (typeof vnode.tag === 'string') {
+      vnode.state = {};
+      if (vnode.attrs !== null && vnode.attrs !== undefined) yield* setHooks(vnode.attrs, vnode);
+      switch (vnode.tag) {
+        case '#':
+          write(escapeText('' + vnode.children));
+          break;
+        case '<':
+          write(vnode.children);
+          break;
+        case '[':
+          yield* renderChildren(vnode.children);
+          break;
+        default:
+          yield* renderElement(vnode);
+      }
+    } else {
+      yield* renderComponent(vnode);
+    }
+    if (output.buffer.length >= chunkSize) yield FLUSH;
+  }
+
+  yield* renderNode(Vnode.normalize(view));
+  for (const hook of hooks) hook();
+}
+
+/**
+ * Renders a Mithril vnode tree to HTML, yielding it in chunks.
+ *
+ * Buffered output is emitted whenever it reaches `options.chunkSize` characters and,
+ * crucially, right before waiting on any promise registered by an async component
+ * (`oninit(vnode, waitFor)`), so that everything rendered up to a slow component
+ * reaches the client before that component resolves.
+ *
+ * @async
+ * @generator
+ * @param {Object|Array|String|Number|null} vdomRoot - The root vnode (or list of vnodes).
+ * @param {Object} [options={}] - mithril-node-render options (escapeText, escapeAttribute, xml, strict),
+ *        plus `chunkSize` (default 16384) to control how much output is buffered per chunk.
+ * @param {Object} [context] - The render context (see context.js) the walk runs in.
+ *        Each step is entered explicitly because the generator is resumed by the stream's consumer.
+ * @yields {String} HTML chunks.
+ */
+async function* renderVnodeToChunks(vdomRoot, options = {}, context = undefined) {
+  const output = { buffer: '' };
+  const iterator = walk(vdomRoot, options, output);
+  const step = () => iterator.next();
+
+  for (;;) {
+    const { done, value } = context ? runInRenderContext(context, step) : step();
+    if (output.buffer !== '') {
+      const chunk = output.buffer;
+      output.buffer = '';
+      yield chunk;
+    }
+    if (done) return;
+    if (value !== FLUSH) await Promise.all(value);
+  }
+}
+
+export { VOID_TAGS, createAttrString, renderVnodeToChunks };
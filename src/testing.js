@@ -0,0 +1,455 @@
+import { htm, BOUNDARY_TAG, isErrorBoundary, unwrapFunctionComponent, isComponentInstance } from './htm.js';
+import { isSequence, isAttrs } from './validate.js';
+import { isComponentReference } from './registry.js';
+import { isThenable } from './async.js';
+import { HEAD_TAG, HeadCollector } from './head.js';
+import { RAW_TAG } from './sanitize.js';
+import { htmlToHiccup } from './reverse.js';
+
+// The nodes built by toTestNodes, which the utilities also accept as trees (e.g. what find returned).
+const testNodes = new WeakSet();
+
+// A token of a selector: a comma or `>`, whitespace, a tag, an #id, a .class or an [attribute].
+const SELECTOR_TOKEN = /\s*([,>])\s*|(\s+)|(\*|[A-Za-z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([^\s~^$*=\]]+)\s*(?:([~^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*)?\]/y;
+
+const selectorCache = new Map();
+
+function createElementNode(tag, attrs, path) {
+  const node = { tag, attrs, children: [], path };
+  testNodes.add(node);
+  return node;
+}
+
+function createComponentNode(component, attrs, path) {
+  const node = { component, attrs, children: [], path };
+  testNodes.add(node);
+  return node;
+}
+
+/**
+ * Copies the attributes of a vnode: Mithril's `className` becomes `class`, and `key` and
+ * `null`/`undefined` values, which render nothing, are dropped.
+ *
+ * @param {Object|null|undefined} attrs - The vnode's attrs.
+ * @returns {Object} The attributes.
+ */
+function toTestAttrs(attrs) {
+  const result = {};
+  if (attrs === null || attrs === undefined) return result;
+  for (const name of Object.keys(attrs)) {
+    const value = attrs[name];
+    if (value === null || value === undefined || name === 'key') continue;
+    result[name === 'className' ? 'class' : name] = value;
+  }
+  return result;
+}
+
+/**
+ * Calls the function component behind a wrapper vnode, the way the wrapper renders it.
+ *
+ * @param {Function} functionComponent - The function component.
+ * @param {Object} vnode - The wrapper vnode.
+ * @returns {{output: *}|null} What it renders, or null for an async function component,
+ *          whose output is not available synchronously.
+ */
+function expandFunctionComponent(functionComponent, vnode) {
+  const result = functionComponent(vnode.attrs, vnode.children);
+  if (isThenable(result)) {
+    // Nothing waits for it here, so a failure must not surface as an unhandled rejection.
+    Promise.resolve(result).catch(() => {});
+    return null;
+  }
+  if (isComponentInstance(result)) {
+    if (typeof result.oninit === 'function') result.oninit.call(result, vnode);
+    return { output: result.view.call(result, vnode) };
+  }
+  return { output: result };
+}
+
+/**
+ * Adds the test nodes of a value found at `path` to `nodes`.
+ *
+ * @param {*} value - A Hiccup node, a vnode, a test node, or an array of them.
+ * @param {String} path - Its path in the tree.
+ * @param {Array} nodes - Receives the test nodes (see toTestNodes).
+ */
+function collect(value, path, nodes) {
+  if (value === null || value === undefined || typeof value === 'boolean') return;
+  if (typeof value === 'string' || typeof value === 'number') {
+    nodes.push(String(value));
+  } else if (testNodes.has(value)) {
+    nodes.push(value);
+  } else if (Array.isArray(value)) {
+    collectHiccup(value, path, nodes);
+  } else if (typeof value === 'object' && 'tag' in value) {
+    collectVnode(value, path, nodes);
+  }
+}
+
+function collectHiccup(node, path, nodes) {
+  if (node.length === 0) return;
+  if (isSequence(node)) {
+    node.forEach((item, index) => collect(item, `${path}[${index}]`, nodes));
+    return;
+  }
+
+  const tag = node[0];
+  const hasAttrs = node.length > 1 && isAttrs(node[1]);
+  const attrs = hasAttrs ? node[1] : {};
+  const childrenStartIndex = hasAttrs ? 2 : 1;
+  const collectChildren = (into) => {
+    for (let index = childrenStartIndex; index < node.length; index++) {
+      collect(node[index], `${path}[${index}]`, into);
+    }
+  };
+
+  if (tag === null || tag === undefined || tag === '' || tag === '[' || tag === BOUNDARY_TAG) {
+    collectChildren(nodes);
+    return;
+  }
+  // Head entries are hoisted into the document's <head>, out of the tree.
+  if (tag === HEAD_TAG) return;
+  if (tag === RAW_TAG) {
+    collect(htmlToHiccup(node.slice(childrenStartIndex).join('')), path, nodes);
+    return;
+  }
+  if (typeof tag === 'string' && !isComponentReference(tag)) {
+    // Converted like htm converts it, for the same attributes (selector, class, style, actions).
+    const vnode = htm(hasAttrs ? [tag, attrs] : [tag]);
+    const element = createElementNode(vnode.tag, toTestAttrs(vnode.attrs), path);
+    collectChildren(element.children);
+    nodes.push(element);
+    return;
+  }
+  if (typeof tag === 'function') {
+    const vnode = htm(node);
+    if (unwrapFunctionComponent(vnode.tag) && collectFunctionComponent(vnode, path, nodes)) return;
+  }
+  const component = createComponentNode(tag, toTestAttrs(attrs), path);
+  collectChildren(component.children);
+  nodes.push(component);
+}
+
+function collectVnode(vnode, path, nodes) {
+  const { tag } = vnode;
+  const collectChildren = (into) => {
+    if (vnode.text !== null && vnode.text !== undefined) {
+      into.push(String(vnode.text));
+    } else if (Array.isArray(vnode.children)) {
+      vnode.children.forEach((child, index) => collect(child, `${path}[${index}]`, into));
+    }
+  };
+
+  if (tag === '#') {
+    nodes.push(String(vnode.children));
+  } else if (tag === '<') {
+    collect(htmlToHiccup(vnode.children), path, nodes);
+  } else if (tag === '[') {
+    collectChildren(nodes);
+  } else if (typeof tag === 'string') {
+    const element = createElementNode(tag, toTestAttrs(vnode.attrs), path);
+    collectChildren(element.children);
+    nodes.push(element);
+  } else if (vnode.instance !== null && vnode.instance !== undefined) {
+    // A component that was rendered: what it rendered.
+    collect(vnode.instance, path, nodes);
+  } else if (tag === HeadCollector) {
+    // Hoisted into the document's <head>.
+  } else if (isErrorBoundary(tag)) {
+    // Its children are still Hiccup.
+    collectChildren(nodes);
+  } else if (!(unwrapFunctionComponent(tag) && collectFunctionComponent(vnode, path, nodes))) {
+    const component = createComponentNode(tag, toTestAttrs(vnode.attrs), path);
+    collectChildren(component.children);
+    nodes.push(component);
+  }
+}
+
+function collectFunctionComponent(vnode, path, nodes) {
+  const expanded = expandFunctionComponent(unwrapFunctionComponent(vnode.tag), vnode);
+  if (expanded === null) return false;
+  collect(expanded.output, path, nodes);
+  return true;
+}
+
+/**
+ * Builds the test nodes of a tree: elements as `{tag, attrs, children, path}`, text as strings.
+ *
+ * Fragments, sequences and error boundaries are spliced into their parent, raw HTML is parsed,
+ * head entries are left out, and function components are expanded into what they render.
+ * Other components (POJO and class components, async function components, components with a
+ * `loader`, registered names) are kept as `{component, attrs, children, path}`.
+ *
+ * @param {*} tree - Hiccup, a vnode (e.g. returned by htm), a test node, or an array of vnodes.
+ * @returns {Array} The top-level test nodes.
+ */
+function toTestNodes(tree) {
+  const nodes = [];
+  collect(tree, 'root', nodes);
+  return nodes;
+}
+
+/**
+ * Parses a selector into its alternatives (`a, b`), each a list of compound selectors
+ * from left to right, with the combinator (' ' or '>') that relates each to the one before.
+ *
+ * @param {String} selector - The selector, e.g. 'form > button.primary[type=submit]'.
+ * @returns {Array<Array<Object>>} The alternatives.
+ * @throws {SyntaxError} If the selector is empty or uses unsupported syntax.
+ */
+function parseSelector(selector) {
+  if (selectorCache.has(selector)) return selectorCache.get(selector);
+  const fail = () => {
+    throw new SyntaxError(`Unsupported selector "${selector}": use tags, #id, .class, [attr], [attr=value] ` +
+      '([attr~=value], [attr^=value], [attr$=value], [attr*=value]), descendant and > combinators, and commas.');
+  };
+  const source = String(selector).trim();
+  const alternatives = [];
+  let parts = [];
+  let compound = null;
+  let combinator = null;
+  const current = () => {
+    if (!compound) {
+      compound = { combinator: parts.length > 0 ? combinator || ' ' : null, tag: null, ids: [], classes: [], attrs: [] };
+      combinator = null;
+    }
+    return compound;
+  };
+  const endCompound = () => {
+    if (compound) parts.push(compound);
+    compound = null;
+  };
+
+  SELECTOR_TOKEN.lastIndex = 0;
+  while (SELECTOR_TOKEN.lastIndex < source.length) {
+    const match = SELECTOR_TOKEN.exec(source);
+    if (!match) fail();
+    const [, punctuation, whitespace, tag, id, className, attrName, operator, ...values] = match;
+    if (punctuation === ',') {
+      endCompound();
+      if (parts.length === 0) fail();
+      alternatives.push(parts);
+      parts = [];
+    } else if (punctuation === '>' || whitespace) {
+      if (!compound || combinator) fail();
+      endCompound();
+      combinator = punctuation || ' ';
+    } else if (tag) {
+      if (compound) fail();
+      current().tag = tag === '*' ? null : tag.toLowerCase();
+    } else if (id) {
+      current().ids.push(id);
+    } else if (className) {
+      current().classes.push(className);
+    } else {
+      current().attrs.push({ name: attrName, operator, value: values.find(value => value !== undefined) });
+    }
+  }
+  endCompound();
+  if (parts.length === 0 || combinator) fail();
+  alternatives.push(parts);
+  selectorCache.set(selector, alternatives);
+  return alternatives;
+}
+
+function matchesAttribute(attrs, { name, operator, value }) {
+  if (!Object.prototype.hasOwnProperty.call(attrs, name) || attrs[name] === false) return false;
+  if (!operator) return true;
+  const actual = attrs[name] === true ? '' : String(attrs[name]);
+  switch (operator) {
+    case '=': return actual === value;
+    case '~=': return actual.split(/\s+/).includes(value);
+    case '^=': return value !== '' && actual.startsWith(value);
+    case '$=': return value !== '' && actual.endsWith(value);
+    default: return value !== '' && actual.includes(value);
+  }
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag !== null && element.tag.toLowerCase() !== compound.tag) return false;
+  if (compound.ids.some(id => element.attrs.id !== id)) return false;
+  if (compound.classes.length > 0) {
+    const classes = String(element.attrs.class || '').split(/\s+/);
+    if (!compound.classes.every(className => classes.includes(className))) return false;
+  }
+  return compound.attrs.every(attribute => matchesAttribute(element.attrs, attribute));
+}
+
+/**
+ * Whether the element, whose ancestor elements are `ancestors` (closest last), matches the
+ * compound selectors `parts[0..index]`, right to left.
+ */
+function matchesParts(element, ancestors, parts, index) {
+  const part = parts[index];
+  if (!matchesCompound(element, part)) return false;
+  if (index === 0) return true;
+  if (part.combinator === '>') {
+    return ancestors.length > 0 && matchesParts(ancestors[ancestors.length - 1], ancestors.slice(0, -1), parts, index - 1);
+  }
+  for (let position = ancestors.length - 1; position >= 0; position--) {
+    if (matchesParts(ancestors[position], ancestors.slice(0, position), parts, index - 1)) return true;
+  }
+  return false;
+}
+
+/**
+ * Visits the elements of a list of test nodes depth first, in document order, until
+ * `visit` returns true. Components are looked through: they are nobody's parent element.
+ */
+function walkElements(nodes, ancestors, visit) {
+  for (const node of nodes) {
+    if (typeof node === 'string') continue;
+    if (node.component === undefined) {
+      if (visit(node, ancestors)) return true;
+      if (walkElements(node.children, [...ancestors, node], visit)) return true;
+    } else if (walkElements(node.children, ancestors, visit)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Finds every element of a tree that matches a CSS selector, in document order.
+ *
+ * The tree can be Hiccup, or vnodes returned by htm; function components are expanded
+ * into what they render (see toTestNodes). The tree's top-level elements are searched
+ * as well. The selector supports tags, `#id`, `.class`, `[attr]`, `[attr=value]` and its
+ * `~=`, `^=`, `$=` and `*=` variants, the descendant and `>` combinators, and comma lists.
+ *
+ * @param {*} tree - The tree, or an element found before, to search within it.
+ * @param {String} selector - The selector, e.g. 'button.primary[type=submit]'.
+ * @returns {Array<{tag: String, attrs: Object, children: Array, path: String}>} The elements.
+ *          `attrs` are the attributes as rendered (selector attributes and normalized
+ *          class and style included), `path` locates the element in the tree (e.g. `root[2][1]`).
+ * @throws {SyntaxError} If the selector is not supported.
+ */
+function findAll(tree, selector) {
+  const alternatives = parseSelector(selector);
+  const found = [];
+  walkElements(toTestNodes(tree), [], (element, ancestors) => {
+    if (alternatives.some(parts => matchesParts(element, ancestors, parts, parts.length - 1))) found.push(element);
+    return false;
+  });
+  return found;
+}
+
+/**
+ * Finds the first element of a tree that matches a CSS selector; see findAll.
+ *
+ * @param {*} tree - The tree, or an element found before.
+ * @param {String} selector - The selector, e.g. 'button.primary[type=submit]'.
+ * @returns {{tag: String, attrs: Object, children: Array, path: String}|null} The element, or null.
+ * @throws {SyntaxError} If the selector is not supported.
+ */
+function find(tree, selector) {
+  const alternatives = parseSelector(selector);
+  let found = null;
+  walkElements(toTestNodes(tree), [], (element, ancestors) => {
+    if (alternatives.some(parts => matchesParts(element, ancestors, parts, parts.length - 1))) found = element;
+    return found !== null;
+  });
+  return found;
+}
+
+function collectText(nodes) {
+  return nodes.map(node => (typeof node === 'string' ? node : collectText(node.children))).join('');
+}
+
+/**
+ * Returns the text of a tree, like the DOM's `textContent`: the text of all its nodes,
+ * function components expanded (see toTestNodes).
+ *
+ * @param {*} tree - The tree, or an element found with find.
+ * @returns {String} The text.
+ */
+function textContent(tree) {
+  return collectText(toTestNodes(tree));
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Event handlers are compared by presence: a view creates new closures on every call.
+function isEqualValue(a, b) {
+  if (a === b) return true;
+  if (typeof a === 'function' && typeof b === 'function') return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqualValue(a[key], b[key]));
+  }
+  return false;
+}
+
+function describeValue(value) {
+  if (typeof value === 'function') return 'a function';
+  const json = JSON.stringify(value);
+  return json === undefined ? String(value) : json;
+}
+
+function describeNode(node) {
+  if (typeof node === 'string') return `text ${JSON.stringify(node)}`;
+  if (node.component === undefined) return `<${node.tag}>`;
+  if (typeof node.component === 'string') return `component "${node.component}"`;
+  return typeof node.component === 'function' && node.component.name ? `component ${node.component.name}` : 'component';
+}
+
+function diffAttrs(before, after, path, changes) {
+  for (const name of Object.keys(before)) {
+    if (!(name in after)) {
+      changes.push({ path, message: `attribute "${name}" removed (was ${describeValue(before[name])})` });
+    } else if (!isEqualValue(before[name], after[name])) {
+      changes.push({ path, message: `attribute "${name}" changed from ${describeValue(before[name])} to ${describeValue(after[name])}` });
+    }
+  }
+  for (const name of Object.keys(after)) {
+    if (!(name in before)) {
+      changes.push({ path, message: `attribute "${name}" added: ${describeValue(after[name])}` });
+    }
+  }
+}
+
+// Text has no path of its own: its changes are reported with the path of its parent.
+function diffNodes(before, after, parentPath, changes) {
+  const pathOf = node => (typeof node === 'string' ? parentPath : node.path);
+  for (let index = 0; index < Math.max(before.length, after.length); index++) {
+    const a = before[index];
+    const b = after[index];
+    if (a === undefined) {
+      changes.push({ path: pathOf(b), message: `${describeNode(b)} added` });
+    } else if (b === undefined) {
+      changes.push({ path: pathOf(a), message: `${describeNode(a)} removed` });
+    } else if (typeof a === 'string' || typeof b === 'string' || a.tag !== b.tag || a.component !== b.component) {
+      if (a !== b) changes.push({ path: pathOf(a), message: `${describeNode(a)} changed to ${describeNode(b)}` });
+    } else {
+      diffAttrs(a.attrs, b.attrs, a.path, changes);
+      diffNodes(a.children, b.children, a.path, changes);
+    }
+  }
+}
+
+/**
+ * Compares two trees structurally, as they render, and lists what changed from the first to
+ * the second. The trees can be Hiccup or vnodes returned by htm, in any combination:
+ * `['p.note', 'Hi']` and `htm(['p', {class: 'note'}, 'Hi'])` are the same. Function components
+ * are expanded (see toTestNodes), and event handlers are only compared by presence.
+ * Children are compared by position.
+ *
+ * @param {*} before - The first tree (e.g. the expected one).
+ * @param {*} after - The second tree.
+ * @returns {Array<{path: String, message: String}>} The changes, in document order, each with
+ *          the path of the element concerned in its tree (`before`'s, unless it was added; for
+ *          text, its parent's), e.g. `{path: 'root[2]', message: 'attribute "class" changed
+ *          from "a" to "b"'}`. Empty if the trees are the same.
+ */
+function diffHiccup(before, after) {
+  const changes = [];
+  diffNodes(toTestNodes(before), toTestNodes(after), 'root', changes);
+  return changes;
+}
+
+export default { find, findAll, textContent, diffHiccup };
@@ -0,0 +1,200 @@
+/**
+ * Error thrown when a Hiccup tree fails validation (see validateHiccup).
+ *
+ * `issues` lists every problem that was found, each as `{path, message}`, where
+ * `path` locates the offending value in the tree (e.g. `root[2][1][0]`).
+ * The error message has one `path: message` line per issue.
+ */
+class HiccupError extends Error {
+  /**
+   * @param {Array<{path: String, message: String}>} issues - The problems found in the tree.
+   */
+  constructor(issues) {
+    const lines = issues.map(issue => `${issue.path}: ${issue.message}`);
+    super(lines.length === 1 ? lines[0] : `Invalid Hiccup (${lines.length} problems):\n${lines.join('\n')}`);
+    this.name = 'HiccupError';
+    this.issues = issues;
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isVnode(value) {
+  return isObject(value) && 'tag' in value;
+}
+
+function isComponent(value) {
+  return typeof value === 'function' || (isObject(value) && typeof value.view === 'function');
+}
+
+/**
+ * Whether a Hiccup array is a sequence of nodes rather than an element: its first item is
+ * itself a Hiccup node (an array or a vnode), as in ['ul', items.map(item => ['li', item])].
+ * Sequences render as their items, in place, like the nested child arrays of Mithril's m().
+ *
+ * @param {Array} node - The Hiccup array.
+ * @returns {Boolean} True if the array is a sequence.
+ */
+function isSequence(node) {
+  return node.length > 0 && ((Array.isArray(node[0]) && typeof node[0].view !== 'function') || isVnode(node[0]));
+}
+
+/**
+ * Whether `value` sits in attribute position as an attributes object.
+ * htm, the serializer, the sanitizer and the testing utilities all use this test on the
+ * second element of a Hiccup array, so that they agree on where its children start.
+ */
+function isAttrs(value) {
+  return isObject(value) && !('tag' in value) && !('view' in value);
+}
+
+/**
+ * Whether a child will carry a Mithril key once converted.
+ */
+function hasKey(child) {
+  if (Array.isArray(child)) {
+    return isAttrs(child[1]) && child[1].key !== null && child[1].key !== undefined;
+  }
+  return isVnode(child) && child.key !== null && child.key !== undefined;
+}
+
+/**
+ * Checks a value found in child (or root) position.
+ *
+ * @param {*} node - The value.
+ * @param {String} path - Its path in the tree.
+ * @param {Array} issues - Collects the problems found.
+ * @param {Boolean} isChild - Whether the value follows a tag (rather than being the root).
+ */
+function validateNode(node, path, issues, isChild) {
+  if (Array.isArray(node)) {
+    if (isSequence(node)) {
+      validateSequence(node, path, issues);
+    } else {
+      validateElement(node, path, issues);
+    }
+    return;
+  }
+
+  switch (typeof node) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'undefined':
+      return;
+    case 'function':
+    case 'object':
+      if (node === null || isVnode(node)) return;
+      if (isComponent(node)) {
+        // A bare component is only renderable as the root.
+        if (isChild) {
+          issues.push({ path, message: 'components must be in tag position, e.g. [Component, attrs, ...children]' });
+        }
+      } else if (isChild) {
+        issues.push({ path, message: 'attributes must directly follow the tag' });
+      } else {
+        issues.push({ path, message: 'node must be a Hiccup array, text, or a Mithril vnode' });
+      }
+      return;
+    default:
+      issues.push({ path, message: `unsupported node type: ${typeof node}` });
+  }
+}
+
+/**
+ * Checks a Hiccup array: ['tagOrComponent', {optionalAttrs}, ...children].
+ */
+function validateElement(node, path, issues) {
+  if (node.length === 0) return;
+
+  const tag = node[0];
+  const tagPath = `${path}[0]`;
+  const childrenStartIndex = node.length > 1 && isAttrs(node[1]) ? 2 : 1;
+
+  if (typeof tag === 'string') {
+    if (/\s/.test(tag)) {
+      issues.push({ path: tagPath, message: `selector must not contain whitespace: "${tag}"` });
+    }
+  } else if (tag !== null && tag !== undefined && !isComponent(tag)) {
+    issues.push({ path: tagPath, message: 'tag must be a string selector or component' });
+  }
+
+  for (let i = childrenStartIndex; i < node.length; i++) {
+    validateNode(node[i], `${path}[${i}]`, issues, true);
+  }
+
+  // Mithril rejects element and fragment children that mix keyed and unkeyed siblings.
+  if (!isComponent(tag)) {
+    validateKeys(node, childrenStartIndex, path, issues, 'children must either all have keys or none have keys');
+  }
+}
+
+/**
+ * Checks a sequence: [node, node, ...] (see isSequence).
+ */
+function validateSequence(node, path, issues) {
+  for (let i = 0; i < node.length; i++) {
+    if (isAttrs(node[i])) {
+      issues.push({ path: `${path}[${i}]`, message: 'a sequence cannot take attributes' });
+    } else {
+      validateNode(node[i], `${path}[${i}]`, issues, true);
+    }
+  }
+  validateKeys(node, 0, path, issues, 'sequence items must either all have keys or none have keys');
+}
+
+/**
+ * Reports the siblings from `startIndex` on if they mix keyed and unkeyed nodes.
+ */
+function validateKeys(node, startIndex, path, issues, message) {
+  const firstKeyed = hasKey(node[startIndex]);
+  for (let i = startIndex + 1; i < node.length; i++) {
+    if (hasKey(node[i]) !== firstKeyed) {
+      issues.push({ path, message });
+      return;
+    }
+  }
+}
+
+/**
+ * Validates a Hiccup tree and reports every problem found, each with its path in the tree.
+ *
+ * Paths start at `root` and index into the Hiccup arrays, so `root[2][1][0]` is the tag
+ * of the second element of the third element of the root. Detected problems:
+ *
+ * - A tag that is not a string selector, component or fragment marker (`null`, `undefined`, `''`)
+ *   (e.g. a number or a plain object in tag position). An array whose first item is a Hiccup
+ *   node or vnode is a sequence of nodes (see isSequence) and has no tag.
+ * - A selector containing whitespace.
+ * - An attributes object anywhere but directly after the tag, or in a sequence.
+ * - A component used as a child instead of in tag position (a bare component is fine as the root).
+ * - Siblings or sequence items mixing keyed and unkeyed nodes, which Mithril rejects.
+ * - Values of unsupported types (symbols, bigints).
+ *
+ * @param {Array|String|Number|Object|null|undefined|Boolean} tree - The Hiccup tree.
+ * @param {String} [path='root'] - The path used for the root of `tree`.
+ * @returns {Array<{path: String, message: String}>} The problems found; empty if the tree is valid.
+ */
+function validateHiccup(tree, path = 'root') {
+  const issues = [];
+  validateNode(tree, path, issues, false);
+  return issues;
+}
+
+/**
+ * Validates a Hiccup tree and throws a HiccupError listing every problem, if any.
+ *
+ * @param {Array|String|Number|Object|null|undefined|Boolean} tree - The Hiccup tree.
+ * @param {String} [path='root'] - The path used for the root of `tree`.
+ * @throws {HiccupError} If the tree is invalid.
+ */
+function assertValidHiccup(tree, path = 'root') {
+  const issues = validateHiccup(tree, path);
+  if (issues.length > 0) {
+    throw new HiccupError(issues);
+  }
+}
+
+export { HiccupError, validateHiccup, assertValidHiccup, isSequence, isAttrs };
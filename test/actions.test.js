@@ -0,0 +1,114 @@
+/**
+ * @jest-environment jsdom
+ */
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import client from '../src/client.js';
+const { htm, renderHtmToHtmlString, HiccupError } = hiccupToMithril;
+
+const addToCart = ['button', { type: 'button', onclick: ['cart/add', { sku: 42 }] }, 'Add'];
+const addToCartHtml = '<button type="button" data-on-click="[&quot;cart/add&quot;,{&quot;sku&quot;:42}]">Add</button>';
+
+function createShop() {
+    const calls = [];
+    const shop = client.createHtm({
+        actions: {
+            'cart/add': (payload, event) => calls.push({ payload, type: event.type }),
+            'cart/clear': (payload) => calls.push({ payload })
+        }
+    });
+    return { shop, calls };
+}
+
+
+describe('action references', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('should render as data-on-* attributes on the server', async () => {
+        expect(await renderHtmToHtmlString(addToCart)).toBe(addToCartHtml);
+        expect(await renderHtmToHtmlString(['form', { onsubmit: ['cart/clear'] }])).toBe('<form data-on-submit="[&quot;cart/clear&quot;]"></form>');
+    });
+
+    it('should become handlers that call the action with the payload and the event', () => {
+        const { shop, calls } = createShop();
+        const vnode = shop.htm(addToCart);
+        expect(vnode.attrs['data-on-click']).toBe('["cart/add",{"sku":42}]');
+
+        const root = document.createElement('div');
+        m.render(root, vnode);
+        root.querySelector('button').click();
+        expect(calls).toEqual([{ payload: { sku: 42 }, type: 'click' }]);
+    });
+
+    it('should render the same markup with and without an action table', async () => {
+        const { shop } = createShop();
+        const root = document.createElement('div');
+        m.render(root, shop.htm(addToCart));
+        expect(root.innerHTML).toBe(await renderHtmToHtmlString(addToCart));
+    });
+
+    it('should leave function and string handlers alone', () => {
+        const onclick = () => {};
+        expect(htm(['button', { onclick }]).attrs).toEqual({ onclick });
+        expect(htm(['button', { onclick: 'go()' }]).attrs).toEqual({ onclick: 'go()' });
+    });
+
+    it('should throw a HiccupError for unknown actions when an action table is given', () => {
+        const { shop } = createShop();
+        expect(() => shop.htm(['div', ['button', { onclick: ['cart/remove', 1] }]])).toThrow(HiccupError);
+        expect(() => shop.htm(['div', ['button', { onclick: ['cart/remove', 1] }]]))
+            .toThrow('root[1][1].onclick: unknown action "cart/remove"');
+        expect(() => shop.htm(['button', { onclick: ['cart/add', 1, 2] }]))
+            .toThrow('root[1].onclick: an action reference must be [name] or [name, payload]');
+    });
+
+    it('should reject actions that are not functions', () => {
+        expect(() => client.createHtm({ actions: { 'cart/add': 'add' } })).toThrow('Action "cart/add" must be a function.');
+    });
+
+    it('should be rebound by hydrate', async () => {
+        const Shop = { view: () => htm(['div#shop', addToCart]) };
+        document.body.innerHTML = await renderHtmToHtmlString(['main#app', [Shop]]);
+        const root = document.getElementById('app');
+        const serverMarkup = root.innerHTML;
+
+        const { shop, calls } = createShop();
+        shop.hydrate(root, { view: () => shop.htm(['div#shop', addToCart]) });
+        expect(root.innerHTML).toBe(serverMarkup);
+        root.querySelector('button').click();
+        expect(calls).toEqual([{ payload: { sku: 42 }, type: 'click' }]);
+    });
+
+    it('should be bound on server-rendered markup by bindActions', async () => {
+        document.body.innerHTML = await renderHtmToHtmlString(['div#app', { onclick: ['cart/clear'] }, addToCart]);
+        const root = document.getElementById('app');
+        const { shop, calls } = createShop();
+
+        const unbind = shop.bindActions(root);
+        root.querySelector('button').click();
+        expect(calls).toEqual([{ payload: { sku: 42 }, type: 'click' }, { payload: undefined }]);
+
+        unbind();
+        root.querySelector('button').click();
+        expect(calls).toHaveLength(2);
+    });
+
+    it('should make bindActions throw for unknown actions', async () => {
+        document.body.innerHTML = await renderHtmToHtmlString(['div#app', ['a', { onclick: ['nav/go', '/'] }]]);
+        const { shop } = createShop();
+        expect(() => shop.bindActions(document.getElementById('app'))).toThrow('<a data-on-click>: unknown action "nav/go"');
+    });
+
+    it('should make bindActions bind nothing when a reference is bad', async () => {
+        const { shop, calls } = createShop();
+        for (const bad of [['a', { onclick: ['nav/go', '/'] }], ['a', { 'data-on-click': '["cart/clear"' }]]) {
+            document.body.innerHTML = await renderHtmToHtmlString(['div#app', addToCart, bad]);
+            expect(() => shop.bindActions(document.getElementById('app'))).toThrow(HiccupError);
+            document.querySelector('button').click();
+            expect(calls).toEqual([]);
+        }
+        expect(() => shop.bindActions(document.getElementById('app'))).toThrow('<a data-on-click>: an action reference must be JSON');
+    });
+});
@@ -0,0 +1,152 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import { streamToString } from './helpers.js';
+const { htm, renderHtmToHtmlString, renderHtmToStream, renderDocument, createHtm } = hiccupToMithril;
+
+function delay(ms, value) {
+    return new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise((done) => { resolve = done; });
+    return { promise, resolve };
+}
+
+const UserCard = async (attrs) => {
+    const user = await delay(5, { name: `User ${attrs.id}` });
+    return m('p.user', user.name);
+};
+
+
+describe('async function components', () => {
+    it('should be awaited by renderHtmToHtmlString and renderHtmToStream', async () => {
+        const tree = ['main', [UserCard, { id: 1 }], ['footer', 'End']];
+        const expected = '<main><p class="user">User 1</p><footer>End</footer></main>';
+        expect(await renderHtmToHtmlString(tree)).toBe(expected);
+        expect(await streamToString(renderHtmToStream(tree))).toBe(expected);
+    });
+
+    it('should resolve sibling subtrees concurrently', async () => {
+        // The first sibling only resolves once the second has started (and the same for their
+        // nested components), which never happens if the subtrees load one after the other.
+        const secondStarted = deferred();
+        const nestedSecondStarted = deferred();
+        const Nested = async ({ name, waitFor, started }) => {
+            if (started) started.resolve();
+            await waitFor;
+            return m('i', name);
+        };
+        const First = async () => {
+            await secondStarted.promise;
+            return htm(['div', [Nested, { name: 'a', waitFor: nestedSecondStarted.promise }]]);
+        };
+        const Second = async () => {
+            secondStarted.resolve();
+            return htm(['div', [Nested, { name: 'b', started: nestedSecondStarted }]]);
+        };
+        const html = await renderHtmToHtmlString(['main', [First], [Second]], { timeout: 1000, onError: 'throw' });
+        expect(html).toBe('<main><div><i>a</i></div><div><i>b</i></div></main>');
+    });
+
+    it('should be called once in sequences that mix keyed and unkeyed items', async () => {
+        const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const Row = jest.fn(async attrs => m('li', `Row ${attrs.id}`));
+        const tree = ['ul', [[Row, { key: 1, id: 1 }], ['li', 'plain']]];
+        expect(await renderHtmToHtmlString(tree)).toBe('<ul><li>Row 1</li><li>plain</li></ul>');
+        expect(await streamToString(renderHtmToStream(tree))).toBe('<ul><li>Row 1</li><li>plain</li></ul>');
+        expect(Row).toHaveBeenCalledTimes(2);
+        consoleWarn.mockRestore();
+    });
+
+    it('should render their fallback when they fail', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const Broken = async () => {
+            throw new Error('Service unavailable');
+        };
+        const html = await renderHtmToHtmlString(['div', [Broken, { fallback: ['p', 'Unavailable'] }], ['p', 'Rest']]);
+        expect(html).toBe('<div><p>Unavailable</p><p>Rest</p></div>');
+        expect(consoleError.mock.calls[0][1].message).toBe('Service unavailable');
+        consoleError.mockRestore();
+    });
+
+    it('should fail the render when they fail without a fallback', async () => {
+        const Broken = async () => {
+            throw new Error('Service unavailable');
+        };
+        await expect(renderHtmToHtmlString(['div', [Broken]], { onError: 'throw' })).rejects.toThrow('Service unavailable');
+    });
+
+    it('should render their fallback once the render times out', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const Slow = () => delay(1000, m('p', 'Too late'));
+        const tree = ['div', [Slow, { fallback: ['p', 'Timed out'] }], [UserCard, { id: 2 }]];
+        const expected = '<div><p>Timed out</p><p class="user">User 2</p></div>';
+        expect(await renderHtmToHtmlString(tree, { timeout: 20 })).toBe(expected);
+        expect(await streamToString(renderHtmToStream(tree, { timeout: 20 }))).toBe(expected);
+        expect(consoleError.mock.calls[0][1].message).toMatch('timeout');
+        consoleError.mockRestore();
+    });
+
+    it('should be contained by error boundaries', async () => {
+        const Broken = () => Promise.reject(new Error('Service unavailable'));
+        const html = await renderHtmToHtmlString(
+            ['div', [':boundary', { fallback: ['p', 'Boundary'], onError: () => {} }, [Broken]]]
+        );
+        expect(html).toBe('<div><p>Boundary</p></div>');
+    });
+
+    it('should contribute head entries in document order', async () => {
+        const Page = async ({ title }) => {
+            await delay(title === 'First' ? 10 : 0);
+            return htm(['section', [':head', ['title', title]], title]);
+        };
+        const html = await renderDocument(['main', [Page, { title: 'First' }], [Page, { title: 'Second' }]], { charset: null });
+        expect(html).toBe('<!DOCTYPE html><html><head><title>Second</title></head>' +
+            '<body><main><section>First</section><section>Second</section></main></body></html>');
+    });
+});
+
+describe('loader attribute', () => {
+    const Profile = {
+        view: ({ attrs }) => m('p.profile', `${attrs.data.name} (${attrs.role})`)
+    };
+
+    it('should load the data attribute of a component before rendering it', async () => {
+        const loader = attrs => delay(5, { name: `User ${attrs.id}` });
+        const tree = ['div', [Profile, { loader, id: 7, role: 'admin' }]];
+        const expected = '<div><p class="profile">User 7 (admin)</p></div>';
+        expect(await renderHtmToHtmlString(tree)).toBe(expected);
+        expect(await streamToString(renderHtmToStream(tree))).toBe(expected);
+    });
+
+    it('should work with registered and function components', async () => {
+        const ui = createHtm({ components: { 'ui/Profile': Profile } });
+        const Greeting = ({ data }) => m('h1', `Hello ${data}`);
+        const loader = () => Promise.resolve('Ada');
+        expect(await ui.renderHtmToHtmlString(['div', ['ui/Profile', { loader: () => ({ name: 'Ada' }), role: 'guest' }], [Greeting, { loader }]]))
+            .toBe('<div><p class="profile">Ada (guest)</p><h1>Hello Ada</h1></div>');
+    });
+
+    it('should render the fallback when the loader fails or times out', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const failing = () => {
+            throw new Error('Not found');
+        };
+        const slow = () => delay(1000, { name: 'Late' });
+        const html = await renderHtmToHtmlString(['div',
+            [Profile, { loader: failing, fallback: ['p', 'Not found'] }],
+            [Profile, { loader: slow, fallback: ['p', 'Timed out'] }]], { timeout: 20 });
+        expect(html).toBe('<div><p>Not found</p><p>Timed out</p></div>');
+        expect(consoleError).toHaveBeenCalledTimes(2);
+        consoleError.mockRestore();
+    });
+
+    it('should call the loader once, without passing it to the component', async () => {
+        const loader = jest.fn(() => Promise.resolve({ name: 'Ada' }));
+        const Spy = { view: ({ attrs }) => m('pre', Object.keys(attrs).sort().join(',')) };
+        expect(await renderHtmToHtmlString([Spy, { loader, fallback: 'x', role: 'r' }])).toBe('<pre>data,role</pre>');
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(loader).toHaveBeenCalledWith({ role: 'r' });
+    });
+});
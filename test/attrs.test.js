@@ -0,0 +1,112 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import { normalizeClass, normalizeStyle } from '../src/attrs.js';
+import { streamToString } from './helpers.js';
+const { htm, renderHtmToHtmlString, renderHtmToStream } = hiccupToMithril;
+
+
+describe('normalizeClass', () => {
+    it('should keep class strings as they are', () => {
+        expect(normalizeClass('btn  primary')).toBe('btn  primary');
+    });
+
+    it('should drop falsy entries from class arrays, including nested ones', () => {
+        const isActive = false;
+        expect(normalizeClass(['btn', isActive && 'active', null, undefined, '', ['large', 0, 'round']])).toBe('btn large round');
+    });
+
+    it('should keep the keys of class objects whose values are truthy', () => {
+        expect(normalizeClass({ btn: true, disabled: false, active: 1, hidden: null })).toBe('btn active');
+    });
+
+    it('should mix arrays and objects', () => {
+        expect(normalizeClass(['btn', { active: true, disabled: false }])).toBe('btn active');
+    });
+
+    it('should return null when no class is left', () => {
+        expect(normalizeClass([false, null])).toBeNull();
+        expect(normalizeClass({ a: false })).toBeNull();
+        expect(normalizeClass(null)).toBeNull();
+    });
+});
+
+describe('normalizeStyle', () => {
+    it('should convert camelCase names to CSS names and add px to lengths', () => {
+        expect(normalizeStyle({ fontSize: 12, marginTop: '1rem', backgroundColor: 'red' }))
+            .toEqual({ 'font-size': '12px', 'margin-top': '1rem', 'background-color': 'red' });
+    });
+
+    it('should not add px to unitless properties, zero or custom properties', () => {
+        expect(normalizeStyle({ opacity: 0.5, zIndex: 3, lineHeight: 1.4, flexGrow: 1, margin: 0, '--gap': 4 }))
+            .toEqual({ opacity: '0.5', 'z-index': '3', 'line-height': '1.4', 'flex-grow': '1', margin: '0', '--gap': '4' });
+    });
+
+    it('should keep the leading dash of vendor prefixes', () => {
+        expect(normalizeStyle({ WebkitTransition: 'none', msTransform: 'none', MozUserSelect: 'none' }))
+            .toEqual({ '-webkit-transition': 'none', '-ms-transform': 'none', '-moz-user-select': 'none' });
+    });
+
+    it('should convert cssFloat to float', () => {
+        expect(normalizeStyle({ cssFloat: 'left', float: 'right' })).toEqual({ float: 'right' });
+        expect(normalizeStyle({ cssFloat: 'left' })).toEqual({ float: 'left' });
+    });
+
+    it('should keep kebab-case names and drop null, undefined and false values', () => {
+        expect(normalizeStyle({ 'font-size': 10, color: null, width: undefined, display: false }))
+            .toEqual({ 'font-size': '10px' });
+    });
+
+    it('should keep style strings as they are', () => {
+        expect(normalizeStyle('color: red')).toBe('color: red');
+    });
+});
+
+describe('htm class and style normalization', () => {
+    it('should produce the same vnode as the equivalent class string', () => {
+        const isActive = true;
+        expect(htm(['button.btn', { class: ['primary', isActive && 'active', false] }]))
+            .toEqual(m('button.btn', { class: 'primary active' }));
+        expect(htm(['button.btn', { class: { primary: true, disabled: false } }]))
+            .toEqual(m('button.btn', { class: 'primary' }));
+    });
+
+    it('should accept className as well', () => {
+        expect(htm(['div', { className: ['a', null, 'b'] }]).attrs.className).toBe('a b');
+    });
+
+    it('should keep only the selector classes when no class is left', () => {
+        const vnode = htm(['div.a.b', { class: [false, null] }]);
+        expect(vnode.attrs.className).toBe('a b');
+        expect(vnode.attrs).not.toHaveProperty('class');
+    });
+
+    it('should normalize style objects on the vnode', () => {
+        expect(htm(['div', { style: { fontSize: 12, marginTop: '1rem', opacity: 0 } }]).attrs.style)
+            .toEqual({ 'font-size': '12px', 'margin-top': '1rem', opacity: '0' });
+    });
+
+    it('should not modify the attributes object of the Hiccup node', () => {
+        const attrs = { class: ['a', false], style: { fontSize: 12 } };
+        htm(['div', attrs]);
+        expect(attrs).toEqual({ class: ['a', false], style: { fontSize: 12 } });
+    });
+
+    it('should leave the attributes of components untouched', () => {
+        const Card = { view: () => null };
+        const attrs = { class: ['a', false], style: { fontSize: 12 } };
+        expect(htm([Card, attrs]).attrs).toEqual(attrs);
+    });
+
+    it('should render normalized classes and styles on the server', async () => {
+        const node = ['div.card', { class: ['primary', false, { active: true }], style: { fontSize: 12, zIndex: 2, margin: 0 } }, 'x'];
+        const expected = '<div class="card primary active" style="font-size:12px;z-index:2;margin:0">x</div>';
+        expect(await renderHtmToHtmlString(node)).toBe(expected);
+        expect(await streamToString(renderHtmToStream(node))).toBe(expected);
+    });
+
+    it('should render normalized classes inside function components', async () => {
+        const Badge = (attrs) => htm(['span', { class: ['badge', attrs.tone && `badge-${attrs.tone}`] }, attrs.label]);
+        expect(await renderHtmToHtmlString([Badge, { tone: 'info', label: 'New' }])).toBe('<span class="badge badge-info">New</span>');
+        expect(await renderHtmToHtmlString([Badge, { label: 'Old' }])).toBe('<span class="badge">Old</span>');
+    });
+});
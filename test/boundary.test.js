@@ -0,0 +1,152 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import { streamToString } from './helpers.js';
+const { htm, renderHtmToHtmlString, renderHtmToStream, HiccupError } = hiccupToMithril;
+
+const Broken = () => { throw new Error('widget failed'); };
+
+
+describe('renderHtmToHtmlString onError option', () => {
+    let consoleError;
+
+    beforeEach(() => {
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        consoleError.mockRestore();
+    });
+
+    it('should log and return an empty string by default', async () => {
+        expect(await renderHtmToHtmlString(['div', [Broken]])).toBe('');
+        expect(consoleError).toHaveBeenCalledTimes(1);
+        expect(await renderHtmToHtmlString(['div', [Broken]], { onError: 'log' })).toBe('');
+        expect(consoleError).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject with the error when set to throw', async () => {
+        await expect(renderHtmToHtmlString(['div', [Broken]], { onError: 'throw' })).rejects.toThrow('widget failed');
+        expect(consoleError).not.toHaveBeenCalled();
+    });
+
+    it('should return the HTML produced by an onError function', async () => {
+        const onError = jest.fn(error => `<p class="error">${error.message}</p>`);
+        expect(await renderHtmToHtmlString(['div', [Broken]], { onError })).toBe('<p class="error">widget failed</p>');
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'widget failed' }));
+        expect(consoleError).not.toHaveBeenCalled();
+    });
+
+    it('should await an async onError function and treat null as an empty page', async () => {
+        expect(await renderHtmToHtmlString(['div', [Broken]], { onError: async () => '<p>later</p>' })).toBe('<p>later</p>');
+        expect(await renderHtmToHtmlString(['div', [Broken]], { onError: () => null })).toBe('');
+    });
+
+    it('should handle errors raised while converting the tree', async () => {
+        const throwingPlugin = () => { throw new Error('plugin failed'); };
+        const ui = hiccupToMithril.createHtm({ plugins: [throwingPlugin] });
+        expect(await ui.renderHtmToHtmlString(['div', 'x'])).toBe('');
+        expect(consoleError.mock.calls[0][1].message).toBe('plugin failed');
+        const actions = hiccupToMithril.createHtm({ actions: { 'cart/add': () => {} } });
+        const onError = error => `<p>${error.message}</p>`;
+        expect(await actions.renderHtmToHtmlString(['button', { onclick: ['cart/remove'] }], { onError }))
+            .toBe('<p>root[1].onclick: unknown action "cart/remove"</p>');
+        expect(await renderHtmToHtmlString(['div', [{}]], { onError })).toMatch(/^<p>/);
+    });
+
+    it('should still reject invalid trees in strict mode', async () => {
+        await expect(renderHtmToHtmlString(['div', [{}]], { strict: true, onError: () => 'replaced' })).rejects.toThrow(HiccupError);
+    });
+
+    it('should not pass onError on to the renderer', async () => {
+        expect(await renderHtmToHtmlString(['p', 'ok'], { onError: 'throw' })).toBe('<p>ok</p>');
+    });
+});
+
+describe('Error boundaries', () => {
+    let consoleError;
+
+    beforeEach(() => {
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        consoleError.mockRestore();
+    });
+
+    const page = (widget) => ['main',
+        ['h1', 'Report'],
+        [':boundary', { fallback: ['p.unavailable', 'Unavailable'] }, ['section', widget]],
+        ['footer', 'Footer']
+    ];
+
+    it('should render the fallback for just the failing subtree', async () => {
+        expect(await renderHtmToHtmlString(page([Broken])))
+            .toBe('<main><h1>Report</h1><p class="unavailable">Unavailable</p><footer>Footer</footer></main>');
+    });
+
+    it('should render the children unchanged when nothing fails', async () => {
+        const Widget = () => m('div.widget', 'OK');
+        expect(await renderHtmToHtmlString(page([Widget])))
+            .toBe('<main><h1>Report</h1><section><div class="widget">OK</div></section><footer>Footer</footer></main>');
+    });
+
+    it('should log contained errors by default', async () => {
+        await renderHtmToHtmlString(page([Broken]));
+        expect(consoleError).toHaveBeenCalledTimes(1);
+        expect(consoleError.mock.calls[0][1]).toEqual(expect.objectContaining({ message: 'widget failed' }));
+    });
+
+    it('should report contained errors to the boundary\'s onError instead of logging', async () => {
+        const onError = jest.fn();
+        const html = await renderHtmToHtmlString([':boundary', { fallback: 'n/a', onError }, [Broken]]);
+        expect(html).toBe('n/a');
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'widget failed' }));
+        expect(consoleError).not.toHaveBeenCalled();
+    });
+
+    it('should contain errors raised while converting the children', async () => {
+        const html = await renderHtmToHtmlString(['div', [':boundary', { fallback: 'n/a' }, [42, 'invalid tag']]]);
+        expect(html).toBe('<div>n/a</div>');
+    });
+
+    it('should render nothing when there is no fallback', async () => {
+        expect(await renderHtmToHtmlString(['div', [':boundary', [Broken]], 'after'])).toBe('<div>after</div>');
+    });
+
+    it('should let the innermost boundary handle an error', async () => {
+        const tree = [':boundary', { fallback: 'outer' },
+            ['div', [':boundary', { fallback: 'inner' }, [Broken]], 'sibling']
+        ];
+        expect(await renderHtmToHtmlString(tree)).toBe('<div>innersibling</div>');
+    });
+
+    it('should render the children with the options of the current render', async () => {
+        const tree = ['div', [':boundary', ['br'], ['input', { disabled: true }]]];
+        expect(await renderHtmToHtmlString(tree, { xhtml: true })).toBe('<div><br/><input disabled=""/></div>');
+        expect(await renderHtmToHtmlString(tree)).toBe('<div><br><input disabled></div>');
+    });
+
+    it('should keep the options of concurrent renders apart', async () => {
+        const Slow = {
+            oninit: (vnode, waitFor) => waitFor(new Promise(resolve => setTimeout(resolve, 5))),
+            view: () => m('br')
+        };
+        const tree = [':boundary', [Slow]];
+        const [xhtml, html] = await Promise.all([
+            renderHtmToHtmlString(tree, { xhtml: true }),
+            renderHtmToHtmlString(tree)
+        ]);
+        expect(xhtml).toBe('<br/>');
+        expect(html).toBe('<br>');
+    });
+
+    it('should work the same when streaming', async () => {
+        expect(await streamToString(renderHtmToStream(page([Broken])))).toBe(await renderHtmToHtmlString(page([Broken])));
+    });
+
+    it('should render the children directly outside of server-side rendering', () => {
+        const vnode = htm([':boundary', { fallback: 'n/a', key: 'b' }, ['p', 'a'], 'b']);
+        expect(vnode.key).toBe('b');
+        expect(vnode.tag.view.call({}, vnode)).toEqual(htm([null, ['p', 'a'], 'b']));
+    });
+});
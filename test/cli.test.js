@@ -0,0 +1,148 @@
+import { execFile } from 'node:child_process';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The CLI runs in its own Node.js process, which imports page modules natively.
+const bin = path.resolve('bin/hiccup-to-mithril.js');
+
+let cwd;
+
+async function write(file, content) {
+    await mkdir(path.dirname(path.join(cwd, file)), { recursive: true });
+    await writeFile(path.join(cwd, file), content);
+}
+
+function run(...args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [bin, ...args], { cwd, timeout: 20000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+beforeEach(async () => {
+    cwd = await mkdtemp(path.join(os.tmpdir(), 'hiccup-to-mithril-cli-'));
+});
+
+afterEach(async () => {
+    await rm(cwd, { recursive: true, force: true });
+});
+
+
+describe('render', () => {
+    it('should render the Hiccup a page module exports', async () => {
+        await write('page.js', "export default ['main', ['h1', 'Home'], ['p.lead', 'Welcome']];\n");
+        expect(await run('render', 'page.js')).toEqual({ code: 0, stdout: '<main><h1>Home</h1><p class="lead">Welcome</p></main>', stderr: '' });
+    });
+
+    it('should call exported functions, and await them', async () => {
+        await write('page.js', "export default async () => ['p', await Promise.resolve('Loaded')];\n");
+        expect((await run('render', 'page.js')).stdout).toBe('<p>Loaded</p>');
+    });
+
+    it('should render JSON pages with registered components', async () => {
+        await write('page.json', '["div", [":Greeting", {"name": "Ada"}]]');
+        await write('components.js', 'export default { Greeting: (attrs) => `Hello ${attrs.name}` };\n');
+        expect((await run('render', 'page.json', '--components', 'components.js')).stdout).toBe('<div>Hello Ada</div>');
+    });
+
+    it('should render documents with the options the page exports', async () => {
+        await write('page.js', "export const options = { title: 'About' };\nexport default ['p', 'About us'];\n");
+        const { stdout } = await run('render', 'page.js', '--document', '--out', 'out/about.html');
+        expect(stdout).toBe('');
+        expect(await readFile(path.join(cwd, 'out/about.html'), 'utf8'))
+            .toBe('<!DOCTYPE html><html><head><meta charset="utf-8"><title>About</title></head><body><p>About us</p></body></html>');
+    });
+
+    it('should apply the strict and safe options', async () => {
+        await write('page.json', '["div", ["script", "alert(1)"], ["p", {"onclick": "alert(2)"}, "Text"]]');
+        expect((await run('render', 'page.json', '--safe')).stdout).toBe('<div><p>Text</p></div>');
+        await write('invalid.json', '["div", ["p", {"a": 1}, {"b": 2}]]');
+        const { code, stderr } = await run('render', 'invalid.json', '--strict');
+        expect(code).toBe(1);
+        expect(stderr).toMatch(/^hiccup-to-mithril: root\[1\]\[2\]/);
+    });
+});
+
+describe('build', () => {
+    it('should render one HTML file per page, skipping names that start with _', async () => {
+        await write('pages/_layout.js', "export default (content) => ['main', content];\n");
+        await write('pages/index.js', "import layout from './_layout.js';\nexport default layout(['h1', 'Home']);\n");
+        await write('pages/blog/first-post.json', '["article", ["h1", "First post"]]');
+        await write('pages/notes.txt', 'Not a page');
+
+        const { code, stdout } = await run('build', 'pages', 'site', '--document');
+        expect(code).toBe(0);
+        expect(stdout).toBe([
+            `${path.join('pages', 'blog', 'first-post.json')} -> ${path.join('site', 'blog', 'first-post.html')}`,
+            `${path.join('pages', 'index.js')} -> ${path.join('site', 'index.html')}`,
+            'Built 2 pages.',
+            ''
+        ].join('\n'));
+        expect(await readFile(path.join(cwd, 'site/index.html'), 'utf8')).toMatch('<body><main><h1>Home</h1></main></body>');
+        expect(await readFile(path.join(cwd, 'site/blog/first-post.html'), 'utf8')).toMatch('<body><article><h1>First post</h1></article></body>');
+    });
+});
+
+describe('convert', () => {
+    it('should convert HTML to Hiccup JSON or a JS module', async () => {
+        await write('card.html', '<div class="card">\n  <p>Hi &amp; bye</p>\n</div>\n');
+        expect((await run('convert', 'card.html', '--trim-whitespace')).stdout)
+            .toBe('[\n  "div.card",\n  [\n    "p",\n    "Hi & bye"\n  ]\n]\n');
+        await run('convert', 'card.html', '--trim-whitespace', '--to', 'js', '-o', 'card.js');
+        expect((await run('render', 'card.js')).stdout).toBe('<div class="card"><p>Hi &amp; bye</p></div>');
+    });
+
+    it('should convert pages to HTML', async () => {
+        await write('card.json', '["div.card", ["p", "Hi"]]');
+        expect((await run('convert', 'card.json')).stdout).toBe('<div class="card"><p>Hi</p></div>');
+    });
+});
+
+describe('usage', () => {
+    it('should print the help', async () => {
+        const { code, stdout } = await run('--help');
+        expect(code).toBe(0);
+        expect(stdout).toMatch(/^Usage: hiccup-to-mithril <command> \[options\]/);
+        expect((await run()).code).toBe(2);
+    });
+
+    it('should report usage errors', async () => {
+        await write('card.html', '<p>x</p>');
+        const cases = [
+            [['publish'], 'Unknown command "publish".'],
+            [['render'], 'Usage: hiccup-to-mithril render <page> [options]'],
+            [['render', 'page.js', '--verbose'], "Unknown option '--verbose'"],
+            [['convert', 'card.html', '--to', 'xml'], '--to must be json or js, not "xml".'],
+            [['render', 'page.js', '--timeout', 'soon'], '--timeout must be a number of milliseconds, not "soon".']
+        ];
+        for (const [args, message] of cases) {
+            const { code, stderr } = await run(...args);
+            expect(code).toBe(2);
+            expect(stderr).toContain(message);
+            expect(stderr).toContain('Run "hiccup-to-mithril --help" for usage.');
+        }
+    });
+
+    it('should fail when a page fails to render', async () => {
+        await write('pages/index.js', "export default ['p', 'Home'];\n");
+        await write('pages/bad.mjs', "const Broken = () => { throw new Error('Broken component'); };\nexport default ['main', [Broken]];\n");
+        expect(await run('render', 'pages/bad.mjs')).toEqual({ code: 1, stdout: '', stderr: 'hiccup-to-mithril: Broken component\n' });
+        const { code, stderr } = await run('build', 'pages', 'site');
+        expect(code).toBe(1);
+        expect(stderr).toBe('hiccup-to-mithril: Broken component\n');
+        await write('pages/bad.mjs', "const Broken = () => { throw new Error('Broken component'); };\n" +
+            "export const options = { onError: () => '<p>Unavailable</p>' };\nexport default ['main', [Broken]];\n");
+        expect((await run('render', 'pages/bad.mjs')).stdout).toBe('<p>Unavailable</p>');
+    });
+
+    it('should report errors', async () => {
+        await write('empty.js', 'export const options = {};\n');
+        expect(await run('render', 'empty.js')).toEqual({
+            code: 1,
+            stdout: '',
+            stderr: `hiccup-to-mithril: ${path.join(cwd, 'empty.js')} has no default export (the page's Hiccup, or a function returning it).\n`
+        });
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * @jest-environment jsdom
+ */
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import { streamToString } from './helpers.js';
+const { htm, renderHtmToHtmlString, renderHtmToStream } = hiccupToMithril;
+
+
+describe('function components', () => {
+    let root;
+    beforeEach(() => {
+        root = document.createElement('div');
+        document.body.appendChild(root);
+    });
+    afterEach(() => {
+        m.mount(root, null);
+        root.remove();
+    });
+
+    it('should keep their DOM and focus across redraws', () => {
+        const Field = (attrs) => m('label', attrs.label, m('input', { name: attrs.name }));
+        let label = 'Name';
+        m.mount(root, { view: () => htm(['form', [Field, { label, name: 'name' }]]) });
+
+        const input = root.querySelector('input');
+        input.focus();
+        label = 'Full name';
+        m.redraw.sync();
+
+        expect(root.querySelector('input')).toBe(input);
+        expect(document.activeElement).toBe(input);
+        expect(root.querySelector('label').firstChild.nodeValue).toBe('Full name');
+    });
+
+    it('should be called once per render with the attributes and children', () => {
+        const calls = [];
+        const Item = (attrs, children) => {
+            calls.push([attrs.n, children.length]);
+            return m('li', children);
+        };
+        let n = 1;
+        m.mount(root, { view: () => htm(['ul', [Item, { n }, 'a', ['b', 'b']]]) });
+        n = 2;
+        m.redraw.sync();
+        expect(calls).toEqual([[1, 2], [2, 2]]);
+    });
+
+    it('should keep their keys', () => {
+        const Row = (attrs) => m('li', attrs.id);
+        const vnode = htm(['ul', [1, 2].map(id => [Row, { key: id, id }])]);
+        expect(vnode.children[0].children.map(child => child.key)).toEqual([1, 2]);
+
+        m.render(root, vnode);
+        const first = root.querySelector('li');
+        m.render(root, htm(['ul', [2, 1].map(id => [Row, { key: id, id }])]));
+        expect(root.querySelectorAll('li')[1]).toBe(first);
+    });
+});
+
+describe('closure-style function components', () => {
+    let root;
+    beforeEach(() => {
+        root = document.createElement('div');
+        document.body.appendChild(root);
+    });
+    afterEach(() => {
+        m.mount(root, null);
+        root.remove();
+    });
+
+    function createCounter(log) {
+        return (initialAttrs) => {
+            let count = initialAttrs.start;
+            return {
+                oninit: (vnode) => log.push(`oninit ${vnode.attrs.start}`),
+                oncreate: (vnode) => log.push(`oncreate ${vnode.dom.tagName}`),
+                onupdate: () => log.push('onupdate'),
+                onremove: () => log.push('onremove'),
+                view: (vnode) => m('button', { onclick: () => { count += vnode.attrs.step; } }, `${vnode.attrs.label}: ${count}`)
+            };
+        };
+    }
+
+    it('should keep local state across redraws and call the lifecycle hooks', () => {
+        const log = [];
+        const Counter = createCounter(log);
+        let show = true;
+        m.mount(root, { view: () => htm(['div', show && [Counter, { start: 5, step: 2, label: 'Count' }]]) });
+
+        expect(root.textContent).toBe('Count: 5');
+        root.querySelector('button').click();
+        m.redraw.sync();
+        expect(root.textContent).toBe('Count: 7');
+        root.querySelector('button').click();
+        m.redraw.sync();
+        expect(root.textContent).toBe('Count: 9');
+
+        show = false;
+        m.redraw.sync();
+        expect(log).toEqual(['oninit 5', 'oncreate BUTTON', 'onupdate', 'onupdate', 'onremove']);
+    });
+
+    it('should give each instance its own state', () => {
+        const Counter = createCounter([]);
+        m.mount(root, { view: () => htm(['div', [Counter, { start: 0, step: 1, label: 'A' }], [Counter, { start: 10, step: 1, label: 'B' }]]) });
+        root.querySelectorAll('button')[1].click();
+        m.redraw.sync();
+        expect(root.textContent).toBe('A: 0B: 11');
+    });
+
+    it('should render on the server, waiting for their async oninit', async () => {
+        const Profile = () => {
+            let user = null;
+            return {
+                oninit: (vnode, waitFor) => waitFor(Promise.resolve({ name: 'Ada' }).then(result => { user = result; })),
+                view: () => m('p.profile', user ? user.name : 'Loading')
+            };
+        };
+        const tree = ['main', [Profile]];
+        expect(await renderHtmToHtmlString(tree)).toBe('<main><p class="profile">Ada</p></main>');
+        expect(await streamToString(renderHtmToStream(tree))).toBe('<main><p class="profile">Ada</p></main>');
+    });
+});
+
+describe('async function components in the browser', () => {
+    it('should render once their Promise resolves, calling the function once', async () => {
+        const root = document.createElement('div');
+        let calls = 0;
+        const Greeting = async (attrs) => {
+            calls += 1;
+            return m('p', `Hello ${attrs.name}`);
+        };
+        m.mount(root, { view: () => htm(['div', [Greeting, { name: 'Ada' }]]) });
+        expect(root.innerHTML).toBe('<div></div>');
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        m.redraw.sync();
+        expect(root.innerHTML).toBe('<div><p>Hello Ada</p></div>');
+        expect(calls).toBe(1);
+        m.mount(root, null);
+    });
+
+    it('should keep redrawing a component once its loader resolves', async () => {
+        const root = document.createElement('div');
+        const loader = jest.fn(() => Promise.resolve({ name: 'Ada' }));
+        const Profile = { view: ({ attrs }) => m('p', `${attrs.data.name} (${attrs.role})`) };
+        let role = 'guest';
+        m.mount(root, { view: () => htm([Profile, { loader, role }]) });
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        m.redraw.sync();
+        expect(root.innerHTML).toBe('<p>Ada (guest)</p>');
+        role = 'admin';
+        m.redraw.sync();
+        expect(root.innerHTML).toBe('<p>Ada (admin)</p>');
+        expect(loader).toHaveBeenCalledTimes(1);
+        m.mount(root, null);
+    });
+
+    it('should render the fallback when a loader fails', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const root = document.createElement('div');
+        const Profile = { view: ({ attrs }) => m('p', attrs.data.name) };
+        const loader = () => Promise.reject(new Error('Not found'));
+        m.mount(root, { view: () => htm([Profile, { loader, fallback: ['p', 'Unavailable'] }]) });
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        m.redraw.sync();
+        expect(root.innerHTML).toBe('<p>Unavailable</p>');
+        m.mount(root, null);
+        consoleError.mockRestore();
+    });
+});
+
+describe('class components', () => {
+    it('should keep their instance across redraws', () => {
+        const root = document.createElement('div');
+        class Toggle {
+            constructor() {
+                this.on = false;
+            }
+            view() {
+                return m('button', { onclick: () => { this.on = !this.on; } }, this.on ? 'On' : 'Off');
+            }
+        }
+        m.mount(root, { view: () => htm(['div', [Toggle]]) });
+        root.querySelector('button').click();
+        m.redraw.sync();
+        expect(root.textContent).toBe('On');
+        m.mount(root, null);
+    });
+});
@@ -0,0 +1,122 @@
+import hiccupToMithril from '../src/index.js';
+const { htm, renderHtmToHtmlString, renderDocument } = hiccupToMithril;
+
+
+describe('renderDocument', () => {
+    it('should render a complete document around the body', async () => {
+        const html = await renderDocument(['main', ['h1', 'Hello']], { lang: 'en', title: 'Home' });
+        expect(html).toBe('<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Home</title></head>' +
+            '<body><main><h1>Hello</h1></main></body></html>');
+    });
+
+    it('should render meta, link and script options into the head', async () => {
+        const html = await renderDocument(['p', 'x'], {
+            charset: null,
+            meta: [{ name: 'viewport', content: 'width=device-width' }],
+            links: [{ rel: 'stylesheet', href: '/app.css' }],
+            scripts: ['/app.js', { src: '/defer.js', defer: true }]
+        });
+        expect(html).toBe('<!DOCTYPE html><html><head>' +
+            '<meta name="viewport" content="width=device-width">' +
+            '<link rel="stylesheet" href="/app.css">' +
+            '<script src="/app.js"></script><script src="/defer.js" defer></script>' +
+            '</head><body><p>x</p></body></html>');
+    });
+
+    it('should escape the title and attributes', async () => {
+        const html = await renderDocument(null, { charset: null, lang: 'en"x', title: '<Tom & Jerry>' });
+        expect(html).toBe('<!DOCTYPE html><html lang="en&quot;x"><head><title>&lt;Tom &amp; Jerry&gt;</title></head><body></body></html>');
+    });
+
+    it('should hoist and de-duplicate head entries given as a sequence', async () => {
+        const tags = ['a', 'b'];
+        const html = await renderDocument([null,
+            [':head', tags.map(tag => ['meta', { property: `article:${tag}`, content: tag }])],
+            [':head', [['meta', { property: 'article:b', content: 'B' }]]]
+        ], { charset: null });
+        expect(html).toBe('<!DOCTYPE html><html><head>' +
+            '<meta property="article:a" content="a"><meta property="article:b" content="B">' +
+            '</head><body></body></html>');
+    });
+
+    it('should hoist head nodes from nested components', async () => {
+        const ProductPage = (attrs) => htm([null,
+            [':head',
+                ['title', attrs.name],
+                ['meta', { name: 'description', content: `Buy ${attrs.name}` }],
+                ['link', { rel: 'canonical', href: `/products/${attrs.id}` }],
+                ['link', { rel: 'preload', href: '/hero.jpg', as: 'image' }]
+            ],
+            ['h1', attrs.name]
+        ]);
+        const html = await renderDocument(['main', [ProductPage, { id: 7, name: 'Widget' }]], {
+            charset: null,
+            title: 'Shop',
+            meta: [{ name: 'description', content: 'The shop' }]
+        });
+        expect(html).toBe('<!DOCTYPE html><html><head>' +
+            '<title>Widget</title>' +
+            '<meta name="description" content="Buy Widget">' +
+            '<link rel="canonical" href="/products/7">' +
+            '<link rel="preload" href="/hero.jpg" as="image">' +
+            '</head><body><main><h1>Widget</h1></main></body></html>');
+    });
+
+    it('should de-duplicate head entries', async () => {
+        const body = ['div',
+            [':head', ['link', { rel: 'preload', href: '/font.woff2', as: 'font' }], ['script', { src: '/app.js' }]],
+            [':head', ['link', { rel: 'preload', href: '/font.woff2', as: 'font' }], ['link', { rel: 'canonical', href: '/a' }]],
+            [':head', ['link', { rel: 'canonical', href: '/b' }], ['meta', { property: 'og:title', content: 'B' }]]
+        ];
+        const html = await renderDocument(body, { charset: null, scripts: ['/app.js'] });
+        expect(html).toBe('<!DOCTYPE html><html><head>' +
+            '<script src="/app.js"></script>' +
+            '<link rel="preload" href="/font.woff2" as="font">' +
+            '<link rel="canonical" href="/b">' +
+            '<meta property="og:title" content="B">' +
+            '</head><body><div></div></body></html>');
+    });
+
+    it('should keep meta charset first', async () => {
+        const html = await renderDocument([':head', ['meta', { charset: 'iso-8859-1' }]], { title: 'T' });
+        expect(html).toBe('<!DOCTYPE html><html><head><meta charset="iso-8859-1"><title>T</title></head><body></body></html>');
+    });
+
+    it('should drop head entries of subtrees replaced by a boundary fallback', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const Broken = () => { throw new Error('broken'); };
+        const body = ['main',
+            [':boundary', { fallback: 'n/a' }, [':head', ['title', 'Broken widget']], [Broken]],
+            [':head', ['title', 'Page']]
+        ];
+        const html = await renderDocument(body, { charset: null });
+        expect(html).toBe('<!DOCTYPE html><html><head><title>Page</title></head><body><main>n/a</main></body></html>');
+        consoleError.mockRestore();
+    });
+
+    it('should pass render options on', async () => {
+        const html = await renderDocument(['p', ['br']], { charset: null, xhtml: true, links: [{ rel: 'icon', href: '/i.png' }] });
+        expect(html).toBe('<!DOCTYPE html><html><head><link rel="icon" href="/i.png"/></head><body><p><br/></p></body></html>');
+    });
+
+    it('should still render the document when the body fails with the default onError', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const Broken = () => { throw new Error('broken'); };
+        expect(await renderDocument([Broken], { charset: null, title: 'T' }))
+            .toBe('<!DOCTYPE html><html><head><title>T</title></head><body></body></html>');
+        await expect(renderDocument([Broken], { onError: 'throw' })).rejects.toThrow('broken');
+        consoleError.mockRestore();
+    });
+});
+
+describe('Head nodes outside of renderDocument', () => {
+    it('should render nothing with renderHtmToHtmlString', async () => {
+        expect(await renderHtmToHtmlString(['div', [':head', ['title', 'T']], 'content'])).toBe('<div>content</div>');
+    });
+
+    it('should render nothing in the browser', () => {
+        const vnode = htm([':head', ['title', 'T']]);
+        expect(vnode.tag.view(vnode)).toBe(null);
+        expect(vnode.children).toEqual([['title', 'T']]);
+    });
+});
@@ -0,0 +1,103 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import { streamToString } from './helpers.js';
+const { renderHtmToHtmlString, renderHiccupToString, renderHtmToStream, renderDocument } = hiccupToMithril;
+
+const feed = ['rss', { version: '2.0', 'xmlns:atom': 'http://www.w3.org/2005/Atom' },
+    ['channel',
+        ['title', 'News & notes'],
+        ['atom:link', { href: 'https://example.com/feed.xml', rel: 'self' }],
+        ['item', ['guid', { isPermaLink: false }, 'post-1'], ['enclosure', { url: '/a.mp3', length: 0 }]]]];
+
+const page = ['main',
+    ['h1', 'Hello ', ['em', 'world']],
+    ['ul', ['li', 'One'], ['li', ['a', { href: '/two' }, 'Two']]],
+    ['pre', 'line 1\n  line 2'],
+    ['form', ['textarea', '  keep  '], ['p', ['span', 'a'], ['span', 'b']]]];
+
+
+describe('xml option', () => {
+    it('should self-close empty elements and start with an XML declaration', async () => {
+        expect(await renderHtmToHtmlString(feed, { xml: true })).toBe('<?xml version="1.0" encoding="UTF-8"?>' +
+            '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel><title>News &amp; notes</title>' +
+            '<atom:link href="https://example.com/feed.xml" rel="self"/>' +
+            '<item><guid isPermaLink="false">post-1</guid><enclosure url="/a.mp3" length="0"/></item></channel></rss>');
+    });
+
+    it('should preserve the case and namespaces of tags and attributes', async () => {
+        const svg = ['svg', { xmlns: 'http://www.w3.org/2000/svg', 'xmlns:xlink': 'http://www.w3.org/1999/xlink', viewBox: '0 0 10 10' },
+            ['defs', ['linearGradient#fade', ['stop', { offset: 0 }]]],
+            ['use', { 'xlink:href': '#shape' }]];
+        expect(await renderHtmToHtmlString(svg, { xml: { declaration: false } })).toBe(
+            '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 10 10">' +
+            '<defs><linearGradient id="fade"><stop offset="0"/></linearGradient></defs><use xlink:href="#shape"/></svg>');
+    });
+
+    it('should write void HTML elements as self-closing, and keep raw XML', async () => {
+        const tree = ['urlset', ['url', ['loc', 'https://example.com/']], ['br'], [':raw', '<!-- generated --><x:a></x:a>']];
+        expect(await renderHtmToHtmlString(tree, { xml: { declaration: false } }))
+            .toBe('<urlset><url><loc>https://example.com/</loc></url><br/><!-- generated --><x:a/></urlset>');
+        expect(await renderHtmToHtmlString([':raw', '<?xml version="1.0"?><a></a>'], { xml: true })).toBe('<?xml version="1.0"?><a/>');
+        expect(await renderHtmToHtmlString(null, { xml: true })).toBe('');
+    });
+});
+
+describe('pretty option', () => {
+    it('should indent elements that only hold elements', async () => {
+        expect(await renderHtmToHtmlString(feed, { xml: true, pretty: true })).toBe([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+            '  <channel>',
+            '    <title>News &amp; notes</title>',
+            '    <atom:link href="https://example.com/feed.xml" rel="self"/>',
+            '    <item>',
+            '      <guid isPermaLink="false">post-1</guid>',
+            '      <enclosure url="/a.mp3" length="0"/>',
+            '    </item>',
+            '  </channel>',
+            '</rss>'
+        ].join('\n'));
+    });
+
+    it('should leave text, inline elements, pre and textarea as rendered', async () => {
+        expect(await renderHtmToHtmlString(page, { pretty: { indent: '\t' } })).toBe([
+            '<main>',
+            '\t<h1>Hello <em>world</em></h1>',
+            '\t<ul>',
+            '\t\t<li>One</li>',
+            '\t\t<li><a href="/two">Two</a></li>',
+            '\t</ul>',
+            '\t<pre>line 1\n  line 2</pre>',
+            '\t<form><textarea>  keep  </textarea><p><span>a</span><span>b</span></p></form>',
+            '</main>'
+        ].join('\n'));
+        expect(await renderHtmToHtmlString([['b', 'a'], ['i', 'b']], { pretty: true })).toBe('<b>a</b><i>b</i>');
+        expect(await renderHtmToHtmlString(['div', ['script', 'if (a) {}'], m.trust('<!-- x --><p>y</p>')], { pretty: { indent: 1 } }))
+            .toBe('<div>\n <script>if (a) {}</script>\n <!-- x -->\n <p>y</p>\n</div>');
+    });
+
+    it('should format documents', async () => {
+        expect(await renderDocument(['main', ['p', 'Hi']], { title: 'Home', pretty: true })).toBe([
+            '<!DOCTYPE html>',
+            '<html>',
+            '  <head>',
+            '    <meta charset="utf-8">',
+            '    <title>Home</title>',
+            '  </head>',
+            '  <body>',
+            '    <main>',
+            '      <p>Hi</p>',
+            '    </main>',
+            '  </body>',
+            '</html>'
+        ].join('\n'));
+    });
+
+    it('should format the same with every renderer', async () => {
+        for (const [tree, options] of [[feed, { xml: true, pretty: true }], [page, { pretty: true }], [page, { xhtml: true, pretty: true }]]) {
+            const html = await renderHtmToHtmlString(tree, options);
+            expect(renderHiccupToString(tree, options)).toBe(html);
+            expect(await streamToString(renderHtmToStream(tree, options))).toBe(html);
+        }
+    });
+});
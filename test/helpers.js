@@ -0,0 +1,25 @@
+/**
+ * Reads a stream of HTML chunks (e.g. from renderHtmToStream) to the end.
+ *
+ * @param {AsyncIterable<String>} stream - The stream.
+ * @returns {Promise<Array<String>>} The chunks.
+ */
+async function collectChunks(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+/**
+ * Reads a stream of HTML chunks to the end.
+ *
+ * @param {AsyncIterable<String>} stream - The stream.
+ * @returns {Promise<String>} The HTML.
+ */
+async function streamToString(stream) {
+    return (await collectChunks(stream)).join('');
+}
+
+export { collectChunks, streamToString };
@@ -0,0 +1,160 @@
+/**
+ * @jest-environment jsdom
+ */
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import client from '../src/client.js';
+const { renderHtmToHtmlString, serializeState } = hiccupToMithril;
+const { hydrate } = client;
+
+const Counter = {
+    view: ({ attrs }) => m('div.counter',
+        m('p', `Count: ${attrs.state.count}`),
+        m('button', { onclick: () => { attrs.state.count += 1; } }, 'Increment'),
+        m('input', { name: 'note' })
+    )
+};
+
+async function serverRender(state) {
+    document.body.innerHTML = await renderHtmToHtmlString([null,
+        ['div#app', [Counter, { state }]],
+        serializeState(state)
+    ]);
+    return document.getElementById('app');
+}
+
+
+describe('serializeState', () => {
+    it('should produce a JSON script tag', async () => {
+        const html = await renderHtmToHtmlString(serializeState({ count: 1, tags: ['a'] }));
+        expect(html).toBe('<script type="application/json" id="htm-state">{"count":1,"tags":["a"]}</script>');
+    });
+
+    it('should escape characters that could break out of the script tag', async () => {
+        const state = { html: '</script><script>alert(1)</script>', amp: 'a & b', separators: '\u2028\u2029' };
+        const html = await renderHtmToHtmlString(serializeState(state));
+        expect(html).not.toContain('</script><script>');
+        expect(html).toBe('<script type="application/json" id="htm-state">' +
+            '{"html":"\\u003c/script\\u003e\\u003cscript\\u003ealert(1)\\u003c/script\\u003e","amp":"a \\u0026 b","separators":"\\u2028\\u2029"}' +
+            '</script>');
+        const json = html.slice(html.indexOf('>') + 1, html.lastIndexOf('</script>'));
+        expect(JSON.parse(json)).toEqual(state);
+    });
+
+    it('should use a custom id and serialize undefined as null', async () => {
+        const html = await renderHtmToHtmlString(serializeState(undefined, { id: 'page-data' }));
+        expect(html).toBe('<script type="application/json" id="page-data">null</script>');
+    });
+});
+
+describe('hydrate', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('should mount the component with the serialized state and the same markup', async () => {
+        const root = await serverRender({ count: 3 });
+        const serverMarkup = root.innerHTML;
+
+        const state = hydrate(root, Counter);
+        expect(state).toEqual({ count: 3 });
+        expect(root.innerHTML).toBe(serverMarkup);
+    });
+
+    it('should adopt the server-rendered nodes instead of replacing them', async () => {
+        const root = await serverRender({ count: 3 });
+        const serverNodes = Array.from(root.querySelectorAll('*'));
+        const serverText = root.querySelector('p').firstChild;
+
+        hydrate(root, Counter);
+        serverNodes.forEach((node, index) => expect(root.querySelectorAll('*')[index]).toBe(node));
+        expect(root.querySelector('p').firstChild).toBe(serverText);
+
+        root.querySelector('button').click();
+        m.redraw.sync();
+        expect(root.querySelector('p').firstChild).toBe(serverText);
+        expect(serverText.data).toBe('Count: 4');
+    });
+
+    it('should update the adopted markup where the client renders something else', async () => {
+        document.body.innerHTML = '<div id="app"><section class="old" data-x="1"><h1>Old</h1><p>Stale</p></section>\n<!-- c --><aside></aside></div>';
+        const root = document.getElementById('app');
+        const section = root.querySelector('section');
+        const heading = root.querySelector('h1');
+        const Page = { view: ({ attrs }) => m('section.new', m('h1', attrs.state.title), m('ul', m('li', 'a'), m.trust('<b>b</b>')), 'tail') };
+
+        hydrate(root, Page, { state: { title: 'New' } });
+        expect(root.innerHTML).toBe('<section class="new"><h1>New</h1><ul><li>a</li><b>b</b></ul>tail</section>');
+        expect(root.querySelector('section')).toBe(section);
+        expect(root.querySelector('h1')).toBe(heading);
+    });
+
+    it('should split server text that the client renders as several text nodes', async () => {
+        document.body.innerHTML = '<div id="app"><p>Hello, Ada</p></div>';
+        const root = document.getElementById('app');
+        const serverText = root.querySelector('p').firstChild;
+        const Page = { view: () => m('p', 'Hello, ', 'Ada') };
+
+        hydrate(root, Page, { state: {} });
+        expect(root.querySelector('p').childNodes).toHaveLength(2);
+        expect(root.querySelector('p').firstChild).toBe(serverText);
+        expect(root.innerHTML).toBe('<p>Hello, Ada</p>');
+    });
+
+    it('should make the markup interactive', async () => {
+        const root = await serverRender({ count: 3 });
+        hydrate(root, Counter);
+
+        root.querySelector('button').click();
+        m.redraw.sync();
+        expect(root.querySelector('p').textContent).toBe('Count: 4');
+    });
+
+    it('should prefer an explicit state', async () => {
+        const root = await serverRender({ count: 3 });
+        expect(hydrate(root, Counter, { state: { count: 10 } })).toEqual({ count: 10 });
+        expect(root.querySelector('p').textContent).toBe('Count: 10');
+    });
+
+    it('should read the state from a custom script id', async () => {
+        document.body.innerHTML = await renderHtmToHtmlString([null,
+            ['div#app'],
+            serializeState({ count: 7 }, { id: 'page-data' })
+        ]);
+        const root = document.getElementById('app');
+        hydrate(root, Counter, { stateId: 'page-data' });
+        expect(root.querySelector('p').textContent).toBe('Count: 7');
+    });
+
+    it('should keep focus and values the user entered before hydration', async () => {
+        const root = await serverRender({ count: 0 });
+        const serverInput = root.querySelector('input');
+        serverInput.focus();
+        serverInput.value = 'typed early';
+        serverInput.setSelectionRange(2, 5);
+
+        hydrate(root, Counter);
+
+        const input = root.querySelector('input');
+        expect(input).toBe(serverInput);
+        expect(input.value).toBe('typed early');
+        expect(document.activeElement).toBe(input);
+        expect([input.selectionStart, input.selectionEnd]).toEqual([2, 5]);
+    });
+
+    it('should accept function components', async () => {
+        const Page = (attrs) => m('h1', `Hello, ${attrs.state.name}`);
+        document.body.innerHTML = await renderHtmToHtmlString([null, ['div#app', [Page, { state: { name: 'Ada' } }]], serializeState({ name: 'Ada' })]);
+        const root = document.getElementById('app');
+        hydrate(root, Page);
+        expect(root.innerHTML).toBe('<h1>Hello, Ada</h1>');
+    });
+
+    it('should resolve registered page components by name', async () => {
+        const ui = client.createHtm({ components: { 'pages/Counter': Counter } });
+        const root = await serverRender({ count: 2 });
+        const serverMarkup = root.innerHTML;
+        ui.hydrate(root, 'pages/Counter');
+        expect(root.innerHTML).toBe(serverMarkup);
+    });
+});
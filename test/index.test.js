@@ -74,27 +74,28 @@ describe('htm', () => {
         const hiccupInput = [MyFuncComponent, props, hiccupChild1, hiccupChild2];
         const result = htm(hiccupInput);
 
-        // 1. The `tag` of the resulting vnode should be the wrapper component.
+        // 1. The `tag` of the resulting vnode should be the wrapper component, the same one on every call.
         expect(result.tag).toBeInstanceOf(Object);
         expect(typeof result.tag.view).toBe('function');
-        expect(result.tag).not.toBe(MyFuncComponent); // It's a new wrapper object
+        expect(result.tag).not.toBe(MyFuncComponent); // It's a wrapper object...
+        expect(htm(hiccupInput).tag).toBe(result.tag); // ...cached per function
 
-        // 2. The `attrs` of the resulting vnode (passed to m(Wrapper, attrs, ...)) should be empty.
-        expect(result.attrs).toEqual({});
+        // 2. The `attrs` of the resulting vnode (passed to m(Wrapper, attrs, ...)) are the props.
+        expect(result.attrs).toEqual(props);
 
         // 3. The `children` of the resulting vnode (passed to m(Wrapper, ..., children)) are the processed children.
         const expectedProcessedChildren = [htm(hiccupChild1), htm(hiccupChild2)];
         expect(result.children).toEqual(expectedProcessedChildren);
 
-        // 4. Inspect what the wrapper's view() function would produce.
-        // The wrapper's view calls: originalFunctionComponent(originalAttrs, processedHiccupChildren)
-        // originalAttrs = props
-        // processedHiccupChildren = [htm(hiccupChild1), htm(hiccupChild2)]
-        //                       = ['text child', m('em', ['hiccup child'])]
+        // 4. Inspect what the wrapper's view() function would produce for this vnode.
+        // The wrapper's view calls: originalFunctionComponent(vnode.attrs, vnode.children)
+        // vnode.attrs = props
+        // vnode.children = [htm(hiccupChild1), htm(hiccupChild2)]
+        //                = ['text child', m('em', ['hiccup child'])]
         const processedChildren = [htm(hiccupChild1), htm(hiccupChild2)];
         const expectedRenderFromWrapperView = MyFuncComponent(props, processedChildren);
 
-        const actualRenderFromWrapperView = result.tag.view();
+        const actualRenderFromWrapperView = result.tag.view.call(Object.create(result.tag), result);
         expect(actualRenderFromWrapperView).toEqual(expectedRenderFromWrapperView);
     });
 
@@ -152,23 +153,45 @@ describe('htm', () => {
         });
     });
 
-    describe('Nested Array as Tag in htm', () => {
-        it('should handle an empty array as tag (becomes fragment)', () => {
-            // [[]] -> htm([]) -> null (as tag) -> '['
-            const result = htm([[]]);
-            expect(result).toEqual(m('[', [])); // An empty fragment
+    describe('Sequences in htm', () => {
+        it('should convert a sequence to an array of its items', () => {
+            const result = htm([['li', 'a'], ['li', 'b']]);
+            expect(result).toEqual([m('li', ['a']), m('li', ['b'])]);
         });
 
-        it('should handle [[]] with children (becomes fragment with children)', () => {
-            const result = htm([[], 'child']);
-            expect(result).toEqual(m('[', ['child']));
+        it('should splice a mapped list into its parent as siblings', () => {
+            const items = ['a', 'b', 'c'];
+            const result = htm(['ul', items.map(item => ['li', item])]);
+            expect(result).toEqual(m('ul', [items.map(item => m('li', [item]))]));
         });
 
-        it('should handle a nested null tag (becomes fragment)', () => {
-            // [[null]] -> htm([null]) which calls htm(null) internally for the tag part.
-            // htm([null]) -> tagOrComponent = null -> becomes '['. Children are [].
+        it('should accept vnodes and nested sequences as items', () => {
+            const result = htm(['ul', [m('li', 'a'), [['li', 'b'], ['li', 'c']]]]);
+            expect(result).toEqual(m('ul', [[m('li', 'a'), [m('li', ['b']), m('li', ['c'])]]]));
+        });
+
+        it('should handle an empty array as the first item', () => {
+            // [[]] -> a sequence of one empty node
+            expect(htm([[]])).toEqual([null]);
+            expect(htm([[], 'child'])).toEqual([null, 'child']);
+        });
+
+        it('should handle a nested fragment as the first item', () => {
             const result = htm([[null]]);
-            expect(result).toEqual(m('[', []));
+            expect(result).toEqual([m('[', [])]);
+        });
+
+        it('should keep the keys of keyed sequences', () => {
+            const result = htm(['ul', [1, 2].map(id => ['li', { key: id }, id])]);
+            expect(result.children[0].children.map(child => child.key)).toEqual([1, 2]);
+        });
+
+        it('should warn and drop the keys of sequences mixing keyed and unkeyed items', () => {
+            const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const result = htm(['ul', [['li', { key: 1 }, 'a'], ['li', 'b']]]);
+            expect(result.children[0].children.map(child => child.key)).toEqual([undefined, undefined]);
+            expect(consoleWarn).toHaveBeenCalledWith(expect.stringContaining('root[1]: sequence items must either all have keys or none have keys'));
+            consoleWarn.mockRestore();
         });
     });
 
@@ -255,7 +278,7 @@ describe('renderHtmToHtmlString', () => {
     });
 
     it('should render an empty string for htm([[]]) as root', async () => {
-        // htm([[]]) -> htm(htm([])) -> htm(null) -> null
+        // htm([[]]) -> [htm([])] -> [null]
         const html = await renderHtmToHtmlString([[]]);
         expect(html).toBe('');
     });
@@ -298,6 +321,11 @@ describe('renderHtmToHtmlString', () => {
         });
     });
 
+    it('should render a mapped list of children as siblings', async () => {
+        const html = await renderHtmToHtmlString(['ul', ['li.header', 'Items'], ['a', 'b'].map(item => ['li', item])]);
+        expect(html).toBe('<ul><li class="header">Items</li><li>a</li><li>b</li></ul>');
+    });
+
     describe('Rendering Fragments to String', () => {
         it('should render a simple fragment to string', async () => {
             const html = await renderHtmToHtmlString([null, 'Hello', ' ', 'fragment!']);
@@ -0,0 +1,126 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import clientApi from '../src/client.js';
+import { streamToString } from './helpers.js';
+const { createHtm, safeDefaults } = hiccupToMithril;
+
+const bundles = {
+    dropdown: { 'x-data': '{ open: false }', '@keydown.escape': 'open = false' }
+};
+
+const alpineBundles = ({ tag, attrs, children }) => {
+    if (!attrs.bundle) return undefined;
+    const { bundle, ...rest } = attrs;
+    return { tag, attrs: { ...bundles[bundle], ...rest }, children };
+};
+
+// Merges `tw` classes into `class`, the later utility of a group winning.
+const mergeClasses = ({ tag, attrs, children }) => {
+    if (!attrs.tw) return undefined;
+    const { tw, ...rest } = attrs;
+    const byGroup = new Map();
+    for (const name of `${rest.class || ''} ${tw}`.split(/\s+/).filter(Boolean)) {
+        byGroup.set(name.replace(/-[^-]+$/, ''), name);
+    }
+    return { tag, attrs: { ...rest, class: [...byGroup.values()].join(' ') }, children };
+};
+
+const messages = { 'cart.title': 'Your cart', 'cart.empty': 'Nothing here yet' };
+const translate = ({ tag, attrs, children }) => (tag === 't' ? { tag: 'span', attrs, children: [messages[children[0]]] } : undefined);
+
+const testIds = ({ tag, attrs, children }, { path }) =>
+    (tag === 'button' ? { tag, attrs: { 'data-testid': path, ...attrs }, children } : undefined);
+
+
+describe('createHtm plugins', () => {
+    it('should rewrite nodes with each plugin, in order', () => {
+        const ui = createHtm({ plugins: [alpineBundles, mergeClasses, translate, testIds] });
+        const tree = ['div', { bundle: 'dropdown', tw: 'p-2 p-4 text-sm' },
+            ['button', { '@click': 'open = !open' }, ['t', 'cart.title']]];
+        const vnode = ui.htm(tree);
+        expect(vnode.attrs).toMatchObject({ 'x-data': '{ open: false }', '@keydown.escape': 'open = false', className: 'p-4 text-sm' });
+        expect(vnode.attrs).not.toHaveProperty('bundle');
+        expect(vnode.children[0].attrs).toEqual({ 'data-testid': 'root[2]', '@click': 'open = !open' });
+        expect(vnode.children[0].children[0].tag).toBe('span');
+        expect(vnode.children[0].children[0].children[0].children).toBe('Your cart');
+    });
+
+    it('should apply each plugin to what the previous one returned', () => {
+        const log = [];
+        const first = node => ({ ...node, attrs: { ...node.attrs, first: true } });
+        const second = (node) => {
+            log.push(node.attrs);
+            return undefined;
+        };
+        expect(createHtm({ plugins: [first, second] }).htm(['p', 'x']).attrs).toEqual({ first: true });
+        expect(log).toEqual([{ first: true }]);
+    });
+
+    it('should give every node its path, including components and special nodes', () => {
+        const paths = [];
+        const Card = { view: ({ children }) => m('section', children) };
+        const ui = createHtm({ plugins: [(node, { path }) => { paths.push(`${path} ${typeof node.tag === 'string' ? node.tag : 'component'}`); }] });
+        ui.htm(['main', { id: 'x' }, 'text', ['ul', [['li', 'a'], ['li', 'b']]], [Card, ['p', 'in card']], [':raw', '<b>']]);
+        expect(paths).toEqual([
+            'root main', 'root[3] ul', 'root[3][1][0] li', 'root[3][1][1] li',
+            'root[4] component', 'root[4][1] p', 'root[5] :raw'
+        ]);
+    });
+
+    it('should remove nodes for which a plugin returns null', () => {
+        const ui = createHtm({ plugins: [({ attrs }) => (attrs.hidden ? null : undefined)] });
+        const vnode = ui.htm(['ul', ['li', 'a'], ['li', { hidden: true }, 'b'], ['li', 'c']]);
+        expect(vnode.children.filter(Boolean).map(child => child.children[0].children)).toEqual(['a', 'c']);
+    });
+
+    it('should pass the children before converting them, and an empty attrs object', () => {
+        const seen = [];
+        const ui = createHtm({ plugins: [(node) => { seen.push(node); }] });
+        const tree = ['div', ['p', 'x']];
+        ui.htm(tree);
+        expect(seen[0]).toEqual({ tag: 'div', attrs: {}, children: [['p', 'x']] });
+        expect(tree).toEqual(['div', ['p', 'x']]);
+    });
+
+    it('should let plugins turn elements into components', async () => {
+        const Card = { view: ({ attrs, children }) => m('section.card', m('h2', attrs.title), children) };
+        const ui = createHtm({ components: { 'ui/Card': Card }, plugins: [node => (node.tag === 'card' ? { ...node, tag: 'ui/Card' } : undefined)] });
+        expect(await ui.renderHtmToHtmlString(['card', { title: 'T' }, ['p', 'x']]))
+            .toBe('<section class="card"><h2>T</h2><p>x</p></section>');
+    });
+
+    it('should render the same with every renderer', async () => {
+        const Badge = (attrs, children) => m('span.badge', children);
+        const ui = createHtm({ plugins: [alpineBundles, mergeClasses, translate, testIds] });
+        const tree = ['main', { bundle: 'dropdown' },
+            ['h1', ['t', 'cart.title']],
+            [Badge, ['button', { tw: 'p-1 p-3' }, ['t', 'cart.empty']]],
+            [':boundary', { fallback: 'x' }, ['button', 'In boundary']]];
+        const expected = '<main x-data="{ open: false }" @keydown.escape="open = false"><h1><span>Your cart</span></h1>' +
+            '<span class="badge"><button data-testid="root[3][1]" class="p-3"><span>Nothing here yet</span></button></span>' +
+            '<button data-testid="root[1]">In boundary</button></main>';
+        expect(await ui.renderHtmToHtmlString(tree)).toBe(expected);
+        expect(ui.renderHiccupToString(tree)).toBe(expected);
+        expect(await streamToString(ui.renderHtmToStream(tree))).toBe(expected);
+    });
+
+    it('should run after safe mode sanitized the tree', async () => {
+        const ui = createHtm({ plugins: [testIds] });
+        const safe = { allowedTags: [...safeDefaults.allowedTags, 'button'], onRemove: () => {} };
+        const html = await ui.renderHtmToHtmlString(['div', ['button', { onclick: 'alert(1)' }, 'Go']], { safe });
+        expect(html).toBe('<div><button data-testid="root[1]">Go</button></div>');
+    });
+
+    it('should apply to the browser entry point', () => {
+        const ui = clientApi.createHtm({ plugins: [translate] });
+        const span = ui.htm(['p', ['t', 'cart.title']]).children[0];
+        expect(span.tag).toBe('span');
+        expect(span.children[0].children).toBe('Your cart');
+    });
+
+    it('should reject plugins that are not functions, and invalid results', () => {
+        expect(() => createHtm({ plugins: [alpineBundles, 'translate'] })).toThrow(new TypeError('Plugin 1 must be a function.'));
+        const ui = createHtm({ plugins: [() => ['p', 'x']] });
+        expect(() => ui.htm(['div'])).toThrow('Plugin 0 must return a node ({tag, attrs, children}), undefined or null.');
+    });
+});
@@ -0,0 +1,104 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import { streamToString } from './helpers.js';
+const { createHtm, htm, HiccupError } = hiccupToMithril;
+
+const Card = {
+    view: ({ attrs, children }) => m('section.card', m('h2', attrs.title), children)
+};
+
+class Counter {
+    constructor({ attrs }) {
+        this.count = attrs.start;
+    }
+    view() {
+        return m('output', this.count);
+    }
+}
+
+const Badge = (attrs, children) => m('span.badge', { class: attrs.tone }, children);
+
+
+describe('createHtm components', () => {
+    const ui = createHtm({ components: { 'ui/Card': Card, 'ui/Counter': Counter, Badge } });
+
+    it('should render a tree stored as JSON', async () => {
+        const layout = JSON.parse(JSON.stringify(
+            ['main',
+                ['ui/Card', { title: 'Cart' },
+                    [':Badge', { tone: 'info' }, '2 items'],
+                    ['ui/Counter', { start: 5 }]]]
+        ));
+        const expected = '<main><section class="card"><h2>Cart</h2>' +
+            '<span class="badge info">2 items</span><output>5</output></section></main>';
+        expect(await ui.renderHtmToHtmlString(layout)).toBe(expected);
+        expect(await streamToString(ui.renderHtmToStream(layout))).toBe(expected);
+    });
+
+    it('should resolve names to the registered components in the vnode tree', () => {
+        const vnode = ui.htm(['ui/Card', { title: 'Cart' }, 'x']);
+        expect(vnode.tag).toBe(Card);
+        expect(vnode.attrs).toEqual({ title: 'Cart' });
+        expect(ui.htm(['ui/Counter', { start: 1 }]).tag).toBe(Counter);
+    });
+
+    it('should resolve plain registered names with or without a colon', () => {
+        expect(typeof ui.htm(['Badge', 'x']).tag).toBe('object');
+        expect(typeof ui.htm([':Badge', 'x']).tag).toBe('object');
+    });
+
+    it('should accept registered names with a leading colon', async () => {
+        const other = createHtm({ components: { ':Card': Card } });
+        expect(await other.renderHtmToHtmlString([':Card', { title: 'T' }])).toBe('<section class="card"><h2>T</h2></section>');
+    });
+
+    it('should keep treating selectors as elements', async () => {
+        expect(await ui.renderHtmToHtmlString(['div.card', ['a[href=/home]', 'Home']]))
+            .toBe('<div class="card"><a href="/home">Home</a></div>');
+    });
+
+    it('should render registered components in document heads and bodies', async () => {
+        const html = await ui.renderDocument(['ui/Card', { title: 'Hi' }], { charset: null });
+        expect(html).toBe('<!DOCTYPE html><html><head></head><body><section class="card"><h2>Hi</h2></section></body></html>');
+    });
+
+    it('should throw a HiccupError with the path of an unknown component', () => {
+        expect(() => ui.htm(['main', ['p', 'x'], ['ui/Crad', { title: 'Typo' }]])).toThrow(HiccupError);
+        expect(() => ui.htm(['main', ['p', 'x'], ['ui/Crad', { title: 'Typo' }]]))
+            .toThrow('root[2][0]: unknown component "ui/Crad"');
+        expect(() => ui.htm([':Missing'])).toThrow('root[0]: unknown component ":Missing"');
+    });
+
+    it('should fail renders that reference an unknown component', async () => {
+        await expect(ui.renderHtmToHtmlString(['div', ['ui/Missing']], { onError: 'throw' })).rejects.toThrow('unknown component "ui/Missing"');
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(await ui.renderHtmToHtmlString(['div', ['ui/Missing']])).toBe('');
+        expect(consoleError.mock.calls[0][1].message).toBe('root[1][0]: unknown component "ui/Missing"');
+        consoleError.mockRestore();
+    });
+
+    it('should let an error boundary contain an unknown component', async () => {
+        const errors = [];
+        const html = await ui.renderHtmToHtmlString(
+            ['div', [':boundary', { fallback: ['p', 'Unavailable'], onError: error => errors.push(error) }, ['ui/Missing']]]
+        );
+        expect(html).toBe('<div><p>Unavailable</p></div>');
+        expect(errors[0]).toBeInstanceOf(HiccupError);
+    });
+
+    it('should keep instances separate from the default htm', () => {
+        expect(() => htm(['ui/Card'])).toThrow('unknown component "ui/Card"');
+    });
+
+    it('should reject registered values that are not components', () => {
+        expect(() => createHtm({ components: { 'ui/Card': { title: 'Card' } } })).toThrow(TypeError);
+        expect(() => createHtm({ components: { 'ui/Card': null } })).toThrow('Component "ui/Card"');
+    });
+});
+
+describe('class components in tag position', () => {
+    it('should be instantiated by Mithril rather than called as function components', async () => {
+        expect(htm([Counter, { start: 3 }]).tag).toBe(Counter);
+        expect(await hiccupToMithril.renderHtmToHtmlString(['div', [Counter, { start: 3 }]])).toBe('<div><output>3</output></div>');
+    });
+});
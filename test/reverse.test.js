@@ -0,0 +1,165 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+const { htm, renderHtmToHtmlString, renderHiccupToString, htmlToHiccup, vnodeToHiccup } = hiccupToMithril;
+
+
+describe('htmlToHiccup', () => {
+    it('should parse a simple element', () => {
+        expect(htmlToHiccup('<p>Hello</p>')).toEqual(['p', 'Hello']);
+    });
+
+    it('should fold id and class into the selector', () => {
+        expect(htmlToHiccup('<div id="main" class="a  b" title="t">x</div>'))
+            .toEqual(['div#main.a.b', { title: 't' }, 'x']);
+    });
+
+    it('should keep id and class as attributes when they are not selector-safe', () => {
+        expect(htmlToHiccup('<div id="a.b" class="w-[10px]">x</div>'))
+            .toEqual(['div', { id: 'a.b', class: 'w-[10px]' }, 'x']);
+    });
+
+    it('should parse nested elements and void elements', () => {
+        expect(htmlToHiccup('<form><label>Name <input name="n" required></label><br></form>'))
+            .toEqual(['form', ['label', 'Name ', ['input', { name: 'n', required: true }]], ['br']]);
+    });
+
+    it('should decode character references in text and attributes', () => {
+        expect(htmlToHiccup('<a title="&quot;x&quot;">a &amp; b &#169; &#x41;</a>'))
+            .toEqual(['a', { title: '"x"' }, 'a & b © A']);
+    });
+
+    it('should decode every HTML5 named character reference', async () => {
+        expect(htmlToHiccup('<p title="na&iuml;ve &rarr;">Caf&eacute; &hellip;&nbsp;&AElig;&NotEqualTilde;&amp</p>'))
+            .toEqual(['p', { title: 'naïve →' }, 'Café …\u00a0Æ\u2242\u0338&']);
+        expect(htmlToHiccup('<a href="/x?a=1&copy=2">&copy 1</a>')).toEqual(['a', { href: '/x?a=1&copy=2' }, '© 1']);
+        expect(await renderHtmToHtmlString(htmlToHiccup('<p>Caf&eacute; &rarr; na&iuml;ve</p>'))).toBe('<p>Café → naïve</p>');
+    });
+
+    it('should keep script content verbatim', () => {
+        expect(htmlToHiccup('<script>if (a < b) { go("&amp;"); }</script>'))
+            .toEqual(['script', [':raw', 'if (a < b) { go("&amp;"); }']]);
+        expect(htmlToHiccup('<style></style>')).toEqual(['style']);
+    });
+
+    it('should render script and style content back unescaped', async () => {
+        const html = '<style>ul > li::before { content: "<&>"; }</style><script>if (a && b < c) go("&amp;");</script>';
+        expect(await renderHtmToHtmlString(htmlToHiccup(html))).toBe(html);
+        expect(renderHiccupToString(htmlToHiccup(html))).toBe(html);
+    });
+
+    it('should return several top-level nodes as a fragment', () => {
+        expect(htmlToHiccup('<p>a</p>text<p>b</p>')).toEqual([null, ['p', 'a'], 'text', ['p', 'b']]);
+    });
+
+    it('should return a string for text-only input and null for empty input', () => {
+        expect(htmlToHiccup('just text')).toBe('just text');
+        expect(htmlToHiccup('')).toBe(null);
+        expect(htmlToHiccup(null)).toBe(null);
+    });
+
+    it('should drop comments and doctypes', () => {
+        expect(htmlToHiccup('<!DOCTYPE html><!-- note --><p>a<!-- inner -->b</p>')).toEqual(['p', 'ab']);
+    });
+
+    it('should handle implied end tags', () => {
+        expect(htmlToHiccup('<ul><li>one<li>two</ul><p>para<div>block</div>'))
+            .toEqual([null, ['ul', ['li', 'one'], ['li', 'two']], ['p', 'para'], ['div', 'block']]);
+    });
+
+    it('should ignore unmatched end tags and close unclosed elements', () => {
+        expect(htmlToHiccup('<div><span>a</p></div></section>')).toEqual(['div', ['span', 'a']]);
+        expect(htmlToHiccup('<div><span>a')).toEqual(['div', ['span', 'a']]);
+    });
+
+    it('should preserve SVG case and namespace attributes', () => {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 10 10">' +
+            '<defs><linearGradient id="g"/></defs><use xlink:href="#g"/></svg>';
+        expect(htmlToHiccup(svg)).toEqual(['svg', {
+            xmlns: 'http://www.w3.org/2000/svg',
+            'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+            viewBox: '0 0 10 10'
+        }, ['defs', ['linearGradient#g']], ['use', { 'xlink:href': '#g' }]]);
+    });
+
+    it('should write key, tag and view attributes in the selector, where htm does not read them specially', async () => {
+        expect(htmlToHiccup('<ul><li key="a">x</li><li>y</li></ul>')).toEqual(['ul', ['li[key="a"]', 'x'], ['li', 'y']]);
+        expect(htmlToHiccup('<meta tag="x" name="n">')).toEqual(['meta[tag="x"]', { name: 'n' }]);
+        expect(htmlToHiccup('<div view="say &quot;hi&quot;" hidden>z</div>')).toEqual(['div[view="say \\"hi\\""]', { hidden: true }, 'z']);
+        expect(await renderHtmToHtmlString(htmlToHiccup('<div view>z</div>'), { onError: 'throw' })).toBe('<div view>z</div>');
+    });
+
+    it('should drop whitespace-only text with trimWhitespace', () => {
+        const html = '<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>\n<pre>  </pre>';
+        expect(htmlToHiccup(html, { trimWhitespace: true }))
+            .toEqual([null, ['ul', ['li', 'a'], ['li', 'b']], ['pre', '  ']]);
+    });
+
+    describe('Round-tripping through renderHtmToHtmlString', () => {
+        const samples = [
+            '<div id="main" class="a b"><h1>Title</h1><p>Some <em>emphasis</em> &amp; more.</p></div>',
+            '<ul><li>One</li><li>Two</li></ul><p>After</p>',
+            '<a href="/x?a=1&amp;b=2" title="t">link</a><br><input type="checkbox" disabled>',
+            '<svg width="100" height="100"><circle cx="50" cy="50" r="40"></circle></svg>',
+            '<svg viewBox="0 0 10 10"><linearGradient id="g"></linearGradient><use xlink:href="#g"></use></svg>',
+            '<ul><li key="a">One</li><li>Two</li></ul><meta tag="x" content="y">'
+        ];
+
+        samples.forEach((html) => {
+            it(`should round-trip ${html}`, async () => {
+                expect(await renderHtmToHtmlString(htmlToHiccup(html))).toBe(html);
+            });
+        });
+    });
+});
+
+describe('vnodeToHiccup', () => {
+    it('should convert elements, folding id and className into the selector', () => {
+        expect(vnodeToHiccup(m('div#x.y', { class: 'z', title: 't' }, m('p', 'a'))))
+            .toEqual(['div#x.y.z', { title: 't' }, ['p', 'a']]);
+    });
+
+    it('should convert text, numbers and holes', () => {
+        expect(vnodeToHiccup('text')).toBe('text');
+        expect(vnodeToHiccup(42)).toBe(42);
+        expect(vnodeToHiccup(null)).toBe(null);
+        expect(vnodeToHiccup(false)).toBe(null);
+        expect(vnodeToHiccup(m('p', 'a', null, false, 'b'))).toEqual(['p', 'a', 'b']);
+    });
+
+    it('should keep fragments as [null, ...] with their key', () => {
+        expect(vnodeToHiccup(m.fragment({ key: 'k' }, ['a', m('b')]))).toEqual([null, { key: 'k' }, 'a', ['b']]);
+        expect(vnodeToHiccup([m('i'), 'x'])).toEqual([null, ['i'], 'x']);
+    });
+
+    it('should parse trusted HTML', () => {
+        expect(vnodeToHiccup(m('div', m.trust('<b>bold</b>')))).toEqual(['div', ['b', 'bold']]);
+    });
+
+    it('should write tag and view attributes in the selector', () => {
+        expect(vnodeToHiccup(m('meta[tag=x]', { name: 'n' }))).toEqual(['meta[tag="x"]', { name: 'n' }]);
+        const item = htm(vnodeToHiccup(m('li[view=v]', { key: 1 }, 'x')));
+        expect(item.key).toBe(1);
+        expect(item.attrs.view).toBe('v');
+    });
+
+    it('should keep unrendered components and their attributes', () => {
+        const Comp = { view: () => m('span') };
+        expect(vnodeToHiccup(m(Comp, { a: 1 }, 'child'))).toEqual([Comp, { a: 1 }, 'child']);
+    });
+
+    it('should replace rendered components with their output', () => {
+        const Comp = { view: () => m('span') };
+        const vnode = m(Comp);
+        vnode.instance = m('span.rendered', 'out');
+        expect(vnodeToHiccup(vnode)).toEqual(['span.rendered', 'out']);
+    });
+
+    it('should invert htm for plain element trees', () => {
+        const hiccup = ['section#s.wide', { 'data-x': '1' },
+            ['h2', 'Title'],
+            [null, ['p.lead', 'a'], ['p', 'b']],
+            ['svg', { viewBox: '0 0 1 1' }, ['rect', { width: 1, height: 1 }]]
+        ];
+        expect(vnodeToHiccup(htm(hiccup))).toEqual(hiccup);
+    });
+});
@@ -0,0 +1,155 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import { streamToString } from './helpers.js';
+const { htm, renderHtmToHtmlString, renderHiccupToString, renderHtmToStream, renderDocument, createHtm, safeDefaults } = hiccupToMithril;
+
+function collect() {
+    const removed = [];
+    return { removed, safe: { onRemove: entries => removed.push(...entries) } };
+}
+
+
+describe('raw HTML nodes', () => {
+    it('should render trusted HTML as it is', async () => {
+        expect(await renderHtmToHtmlString(['div', [':raw', '<b>Bold</b> &amp; more']])).toBe('<div><b>Bold</b> &amp; more</div>');
+        expect(await streamToString(renderHtmToStream(['div', [':raw', '<hr>']]))).toBe('<div><hr></div>');
+    });
+
+    it('should convert to m.trust vnodes', () => {
+        expect(htm([':raw', '<i>x</i>'])).toEqual(m.trust('<i>x</i>'));
+        expect(htm([':raw', '<i>', 'x', '</i>'])).toEqual(m.trust('<i>x</i>'));
+    });
+});
+
+describe('safe mode', () => {
+    it('should remove event handlers and unsafe URLs', async () => {
+        const { removed, safe } = collect();
+        const tree = ['div',
+            ['a', { href: 'javascript:alert(1)', onclick: 'alert(2)', title: 'Home' }, 'Home'],
+            ['a', { href: ' JaVa\tScRiPt:alert(1)' }, 'Obfuscated'],
+            ['img', { src: 'data:image/svg+xml;base64,PHN2Zz4=', alt: 'Logo', onerror: 'alert(3)' }],
+            ['a', { href: '/about' }, 'About']];
+        expect(await renderHtmToHtmlString(tree, { safe })).toBe('<div><a title="Home">Home</a><a>Obfuscated</a>' +
+            '<img alt="Logo"><a href="/about">About</a></div>');
+        expect(removed).toEqual([
+            { path: 'root[1][1].href', message: 'removed unsafe URL in "href"' },
+            { path: 'root[1][1].onclick', message: 'removed event handler attribute "onclick"' },
+            { path: 'root[2][1].href', message: 'removed unsafe URL in "href"' },
+            { path: 'root[3][1].src', message: 'removed unsafe URL in "src"' },
+            { path: 'root[3][1].onerror', message: 'removed event handler attribute "onerror"' }
+        ]);
+    });
+
+    it('should check URLs given as arrays or other values that render as strings', async () => {
+        const { removed, safe } = collect();
+        const tree = ['div',
+            ['a', { href: ['javascript:alert(1)'] }, 'x'],
+            ['img', { src: ['data:text/html,<script>alert(2)</script>'], alt: 'y' }],
+            ['a', { href: { toString: () => 'javascript:alert(3)' } }, 'z'],
+            ['a', { href: ['/about'] }, 'About']];
+        const html = '<div><a>x</a><img alt="y"><a>z</a><a href="/about">About</a></div>';
+        expect(await renderHtmToHtmlString(tree, { safe })).toBe(html);
+        expect(removed.map(entry => entry.path)).toEqual(['root[1][1].href', 'root[2][1].src', 'root[3][1].href']);
+        expect(renderHiccupToString(tree, { safe })).toBe(html);
+    });
+
+    it('should remove elements that are not allowed, with their content', async () => {
+        const { removed, safe } = collect();
+        const tree = ['div', ['p', 'Hi'], ['script', 'alert(1)'], ['iframe', { src: '/x' }], ['form', ['p', 'Inside']]];
+        expect(await renderHtmToHtmlString(tree, { safe })).toBe('<div><p>Hi</p></div>');
+        expect(removed.map(entry => entry.message)).toEqual([
+            'removed element <script>, which is not allowed',
+            'removed element <iframe>, which is not allowed',
+            'removed element <form>, which is not allowed'
+        ]);
+        expect(removed[0].path).toBe('root[2][0]');
+    });
+
+    it('should check attributes written in the selector', async () => {
+        const { removed, safe } = collect();
+        const html = await renderHtmToHtmlString(['a#home.nav[href=javascript:alert(1)][onmouseover=alert(2)]', 'Home'], { safe });
+        expect(html).toBe('<a id="home" class="nav">Home</a>');
+        expect(removed.map(entry => entry.path)).toEqual(['root[0].href', 'root[0].onmouseover']);
+        expect(await renderHtmToHtmlString(['SCRIPT.x', 'alert(1)'], { safe })).toBe('');
+    });
+
+    it('should keep allowed attributes where they were written, and the shape of the tree', async () => {
+        const tree = ['div', ['a.nav[href=/about][title="Say \\"hi\\" \\\\ bye"][class="a b"][data-x]', 'About'], ['p', { id: 'p' }, 'x']];
+        expect(await renderHtmToHtmlString(tree, { safe: true })).toBe(await renderHtmToHtmlString(tree));
+        expect(htm(tree, { safe: true })).toEqual(htm(tree));
+    });
+
+    it('should remove attributes that are not allowed on their element', async () => {
+        const { removed, safe } = collect();
+        const html = await renderHtmToHtmlString(
+            ['p.note', { style: 'position:fixed', 'aria-label': 'Note', 'data-id': 7, href: '/x', class: ['big'] }, 'Text'],
+            { safe }
+        );
+        expect(html).toBe('<p class="note big" aria-label="Note" data-id="7">Text</p>');
+        expect(removed.map(entry => entry.message)).toEqual([
+            'removed attribute "style", which is not allowed on <p>',
+            'removed attribute "href", which is not allowed on <p>'
+        ]);
+    });
+
+    it('should remove action references and their data-on-* attributes', async () => {
+        const { safe } = collect();
+        const html = await renderHtmToHtmlString(['div', ['button', { onclick: ['cart/clear'] }, 'A'], ['span', { 'data-on-click': '["cart/clear"]' }, 'B']], { safe });
+        expect(html).toBe('<div><span>B</span></div>');
+    });
+
+    it('should remove raw HTML and vnode objects', async () => {
+        const { removed, safe } = collect();
+        const tree = ['div', [':raw', '<script>alert(1)</script>'], { tag: 'script', children: [] }, 'Text'];
+        expect(await renderHtmToHtmlString(tree, { safe })).toBe('<div>Text</div>');
+        expect(removed).toEqual([
+            { path: 'root[1]', message: 'removed raw HTML' },
+            { path: 'root[2]', message: 'removed vnode object' }
+        ]);
+    });
+
+    it('should accept custom allowlists', async () => {
+        const safe = {
+            allowedTags: [...safeDefaults.allowedTags, 'video'],
+            allowedAttributes: { ...safeDefaults.allowedAttributes, video: ['src', 'controls'] },
+            onRemove: () => {}
+        };
+        const html = await renderHtmToHtmlString(['div', ['video', { src: '/a.mp4', controls: true, autoplay: true }], ['b', 'x']], { safe });
+        expect(html).toBe('<div><video src="/a.mp4" controls></video><b>x</b></div>');
+        const strictList = { allowedTags: ['p'], allowedAttributes: {}, onRemove: () => {} };
+        expect(await renderHtmToHtmlString(['div', ['p', { class: 'x' }, 'Hi']], { safe: strictList })).toBe('');
+        expect(await renderHtmToHtmlString(['p', { class: 'x' }, 'Hi', ['b', 'x']], { safe: strictList })).toBe('<p>Hi</p>');
+    });
+
+    it('should sanitize boundary children, fallbacks and head entries', async () => {
+        const { removed, safe } = collect();
+        const tree = ['main',
+            [':head', ['title', 'Page'], ['script', 'alert(1)']],
+            [':boundary', { fallback: ['p', { onclick: 'alert(2)' }, 'Fallback'] }, ['p', ['script', 'alert(3)'], 'Child']]];
+        const html = await renderDocument(tree, { charset: null, safe: { ...safe, allowedTags: [...safeDefaults.allowedTags, 'title'] } });
+        expect(html).toBe('<!DOCTYPE html><html><head><title>Page</title></head><body><main><p>Child</p></main></body></html>');
+        expect(removed.map(entry => entry.path)).toEqual(['root[1][2][0]', 'root[2][1].fallback[1].onclick', 'root[2][2][1][0]']);
+    });
+
+    it('should keep components and their attributes', async () => {
+        const Card = { view: ({ attrs, children }) => m('section', { onclick: attrs.onSelect }, attrs.title, children) };
+        const ui = createHtm({ components: { 'ui/Card': Card } });
+        const { removed, safe } = collect();
+        const tree = JSON.parse('["div", ["ui/Card", {"title": "T"}, ["script", "alert(1)"], ["em", "ok"]]]');
+        expect(await ui.renderHtmToHtmlString(tree, { safe })).toBe('<div><section>T<em>ok</em></section></div>');
+        expect(removed).toHaveLength(1);
+    });
+
+    it('should apply to htm, and log what was removed by default', () => {
+        const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(htm(['a', { href: 'javascript:void(0)' }, 'x'], { safe: true }).attrs).toEqual({});
+        expect(consoleWarn.mock.calls[0][0]).toBe('Mithrilicup.htm: Removed unsafe content:\nroot[1].href: removed unsafe URL in "href"');
+        consoleWarn.mockRestore();
+    });
+
+    it('should not modify the given tree', () => {
+        const tree = ['p', { onclick: 'x' }, ['script']];
+        htm(tree, { safe: { onRemove: () => {} } });
+        expect(tree).toEqual(['p', { onclick: 'x' }, ['script']]);
+    });
+});
@@ -0,0 +1,130 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+const { renderHtmToHtmlString, renderHiccupToString, createHtm, HiccupError } = hiccupToMithril;
+
+const Card = {
+    view: ({ attrs, children }) => m('section.card', m('h2', attrs.title), children)
+};
+
+class Counter {
+    constructor({ attrs }) {
+        this.count = attrs.start;
+    }
+    view() {
+        return m('output', this.count);
+    }
+}
+
+const Badge = (attrs, children) => m('span.badge', { class: attrs.tone }, children);
+
+const Clock = (initialAttrs) => {
+    const time = initialAttrs.time;
+    return { view: () => m('time', time) };
+};
+
+const Broken = () => {
+    throw new Error('Broken');
+};
+
+const parityCases = {
+    'text escaping': ['p', { title: 'a "quoted" <b> & c' }, 'x < y && y > z', ' "quotes" stay'],
+    'numbers and booleans': ['p', 0, 1.5, true, false, null, undefined, 'end'],
+    'void elements': ['div', ['br'], ['img', { src: '/a.png', alt: '' }], ['input', { value: 'v', type: 'text', name: 'q' }], ['hr.rule']],
+    'boolean attributes': ['input', { type: 'checkbox', checked: true, disabled: false, required: '' }],
+    'selectors': ['a#home.nav.main[href=/][title="Go home"]', { class: 'active', rel: 'nofollow' }, 'Home'],
+    'selector classes without class attribute': ['p.a.b[data-x=1]', { id: 'p1' }, 'x'],
+    'escaped selector values': ['p.a[class="b c"][title="Say \\"hi\\" \\\\ bye"][data-q=\'it\\\'s\']', 'x'],
+    'className attribute': ['p.a', { className: 'b' }, 'x'],
+    'class arrays and objects': ['button.btn', { class: ['primary', false, { active: true, disabled: false }] }, 'Buy'],
+    'empty class': ['p', { class: [] }, 'x'],
+    'style objects': ['div', { style: { fontSize: 12, marginTop: '1rem', zIndex: 2, color: null, '--gap': 4 } }],
+    'style strings': ['div', { style: 'color: red' }],
+    'default tag': ['#main.wide', 'x'],
+    'svg': ['svg', { viewBox: '0 0 10 10', xmlns: 'http://www.w3.org/2000/svg' },
+        ['path', { d: 'M0 0L10 10', 'stroke-width': 2 }], ['foreignObject', ['p', 'x']], ['use', { 'xlink:href': '#a' }]],
+    'fragments': ['ul', [null, ['li', 'a'], ['li', 'b']], ['', ['li', 'c']]],
+    'sequences': ['ul', ['li.header', 'Fruit'], ['Apple', 'Pear'].map(fruit => ['li', fruit]), [[]]],
+    'root sequences': [['h1', 'Title'], ['p', 'Body']],
+    'empty arrays': ['div', [], ['p', []]],
+    'raw HTML': ['div', [':raw', '<b>Bold</b> &amp; more']],
+    'event handlers and action references': ['button', { onclick: () => {}, onmouseover: ['ui/hover', { id: 1 }] }, 'Go'],
+    'text root': 'Just <text>',
+    'number root': 42,
+    'vnodes in the tree': ['div', m('em', { class: 'x' }, 'vnode'), ['p', m.trust('<i>t</i>')]],
+    'POJO components': ['main', [Card, { title: 'Cart' }, ['p', 'Inside']]],
+    'class components': ['div', [Counter, { start: 3 }]],
+    'function components': ['div', [Badge, { tone: 'info' }, '2 items'], [Clock, { time: '12:00' }]],
+    'components with Hiccup children': ['div', [Card, { title: 'T' }, ['ul', [1, 2].map(n => ['li', n])]]],
+    'error boundaries': ['div', [':boundary', { fallback: ['p', 'Unavailable'], onError: () => {} }, [Broken]], ['p', 'Rest']],
+    'head nodes': ['div', [':head', ['title', 'T']], 'x']
+};
+
+
+describe('renderHiccupToString parity with renderHtmToHtmlString', () => {
+    for (const [name, tree] of Object.entries(parityCases)) {
+        it(`should render ${name} identically`, async () => {
+            expect(renderHiccupToString(tree)).toBe(await renderHtmToHtmlString(tree, { onError: 'throw' }));
+        });
+    }
+
+    it('should render identically with the xhtml option', async () => {
+        const tree = ['div', ['br'], ['input', { disabled: true, value: '' }]];
+        const html = renderHiccupToString(tree, { xhtml: true });
+        expect(html).toBe('<div><br/><input disabled="" value=""/></div>');
+        expect(html).toBe(await renderHtmToHtmlString(tree, { xhtml: true }));
+    });
+
+    it('should render identically with the xml option', async () => {
+        const tree = ['feed', ['link', { href: '/a', hidden: false }], ['entry', { draft: true }, 'x']];
+        expect(renderHiccupToString(tree, { xml: true })).toBe(await renderHtmToHtmlString(tree, { xml: true }));
+    });
+
+    it('should use custom escape functions', async () => {
+        const options = { escapeText: text => text.toUpperCase(), escapeAttribute: value => value.replace(/"/g, '&#34;') };
+        const tree = ['p', { title: 'say "hi"' }, 'shout', [Card, { title: 'inner' }]];
+        expect(renderHiccupToString(tree, options)).toBe(await renderHtmToHtmlString(tree, options));
+    });
+
+    it('should render registered components and action references of a createHtm instance', async () => {
+        const ui = createHtm({ components: { 'ui/Card': Card, Badge }, actions: { 'cart/add': () => {} } });
+        const tree = JSON.parse('["main", ["ui/Card", {"title": "Cart"}, [":Badge", {"tone": "info"}, "2"]], ["button", {"onclick": ["cart/add", 1]}, "Add"]]');
+        expect(ui.renderHiccupToString(tree)).toBe(await ui.renderHtmToHtmlString(tree, { onError: 'throw' }));
+    });
+
+    it('should render nested boundaries inside components', async () => {
+        const errors = [];
+        const Widget = { view: () => hiccupToMithril.htm([':boundary', { fallback: 'Fallback', onError: error => errors.push(error) }, [Broken]]) };
+        expect(renderHiccupToString(['div', [Widget]])).toBe('<div>Fallback</div>');
+        expect(errors[0].message).toBe('Broken');
+    });
+});
+
+describe('renderHiccupToString', () => {
+    it('should return strings synchronously', () => {
+        expect(typeof renderHiccupToString(['p', 'x'])).toBe('string');
+        expect(renderHiccupToString(null)).toBe('');
+        expect(renderHiccupToString(false)).toBe('');
+    });
+
+    it('should validate in strict mode', () => {
+        expect(() => renderHiccupToString(['div', ['p', { a: 1 }, { b: 2 }]], { strict: true })).toThrow(HiccupError);
+    });
+
+    it('should sanitize in safe mode', () => {
+        const removed = [];
+        const html = renderHiccupToString(['div', ['a', { href: 'javascript:alert(1)' }, 'x'], ['script', 'alert(2)']],
+            { safe: { onRemove: entries => removed.push(...entries) } });
+        expect(html).toBe('<div><a>x</a></div>');
+        expect(removed).toHaveLength(2);
+    });
+
+    it('should throw for async components and loaders', () => {
+        const Async = async () => m('p', 'x');
+        expect(() => renderHiccupToString(['div', [Async]])).toThrow('renderHiccupToString cannot wait for async components');
+        expect(() => renderHiccupToString([Card, { loader: () => Promise.resolve(1) }])).toThrow('renderHiccupToString cannot wait');
+    });
+
+    it('should throw errors that no boundary contains', () => {
+        expect(() => renderHiccupToString(['div', [Broken]])).toThrow('Broken');
+    });
+});
@@ -0,0 +1,92 @@
+import m from 'mithril';
+import { Readable } from 'node:stream';
+import hiccupToMithril from '../src/index.js';
+import { collectChunks } from './helpers.js';
+const { renderHtmToHtmlString, renderHtmToStream } = hiccupToMithril;
+
+
+describe('renderHtmToStream', () => {
+    it('should return a Readable', () => {
+        const stream = renderHtmToStream(['div']);
+        expect(stream).toBeInstanceOf(Readable);
+        stream.destroy();
+    });
+
+    describe('Parity with renderHtmToHtmlString', () => {
+        const PojoComponent = { view: (vnode) => m('span.pojo', vnode.attrs.label) };
+        const FunctionComponent = (attrs, children) => m('div', attrs, ['Prefix: ', ...children]);
+
+        const trees = {
+            'a simple element': ['div', 'Hello, World!'],
+            'attributes and selectors': ['div#my-id.my-class', { title: 'a "quoted" <title>', hidden: true, checked: false, style: { marginTop: '1rem', fontSize: '12px' } }, 'Content & more'],
+            'void elements': ['form', ['input', { type: 'text', value: 'x' }], ['br'], ['img', { src: '/a.png', alt: '' }]],
+            'SVG': ['svg', { width: '100', height: '100' }, ['circle', { cx: '50', cy: '50', r: '40' }]],
+            'a list of roots': [['div', 'First div'], null, [], ['p', 'Second paragraph']],
+            'fragments': [null, 'Hello', ' ', ['em', 'fragment!']],
+            'components': ['main', [PojoComponent, { label: 'pojo' }], [FunctionComponent, { class: 'test' }, 'Child 1', ['strong', 'Child 2']]],
+            'trusted HTML': ['div', m.trust('<b>raw</b> &amp;')],
+            'text roots': 'plain <text>',
+            'number roots': 42
+        };
+
+        Object.entries(trees).forEach(([name, tree]) => {
+            it(`should render ${name} byte-identically`, async () => {
+                const chunks = await collectChunks(renderHtmToStream(tree));
+                expect(chunks.join('')).toBe(await renderHtmToHtmlString(tree));
+            });
+        });
+
+        it('should honour the xhtml and xml options', async () => {
+            const tree = ['p', ['br'], ['input', { disabled: true }]];
+            for (const options of [{ xhtml: true }, { xml: true }]) {
+                const chunks = await collectChunks(renderHtmToStream(tree, options));
+                expect(chunks.join('')).toBe(await renderHtmToHtmlString(tree, options));
+            }
+        });
+    });
+
+    it('should emit nothing for null, undefined, boolean and empty roots', async () => {
+        for (const root of [null, undefined, true, false, [], [[]]]) {
+            expect((await collectChunks(renderHtmToStream(root))).join('')).toBe('');
+        }
+    });
+
+    it('should split large output into chunks of roughly chunkSize', async () => {
+        const tree = ['ul', ...Array.from({ length: 200 }, (_, i) => ['li', `Item ${i}`])];
+        const chunks = await collectChunks(renderHtmToStream(tree, { chunkSize: 256 }));
+        expect(chunks.length).toBeGreaterThan(10);
+        expect(chunks.join('')).toBe(await renderHtmToHtmlString(tree));
+    });
+
+    it('should flush rendered output before an async component resolves', async () => {
+        let resolveData;
+        const SlowComponent = {
+            oninit(vnode, waitFor) {
+                waitFor(new Promise((resolve) => { resolveData = resolve; }).then((data) => { this.data = data; }));
+            },
+            view() {
+                return m('p', this.data);
+            }
+        };
+
+        const iterator = renderHtmToStream(['main', ['h1', 'Report'], [SlowComponent]])[Symbol.asyncIterator]();
+        const first = await iterator.next();
+        expect(first.value).toBe('<main><h1>Report</h1>');
+
+        resolveData('Loaded');
+        const rest = [];
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            rest.push(next.value);
+        }
+        expect(rest.join('')).toBe('<p>Loaded</p></main>');
+    });
+
+    it('should destroy the stream when rendering fails', async () => {
+        const Broken = { view: () => { throw new Error('boom'); } };
+        await expect(collectChunks(renderHtmToStream(['div', [Broken]]))).rejects.toThrow('boom');
+    });
+
+    it('should destroy the stream when the Hiccup cannot be converted', async () => {
+        await expect(collectChunks(renderHtmToStream([42]))).rejects.toThrow();
+    });
+});
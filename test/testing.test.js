@@ -0,0 +1,140 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+import testing from '../src/testing.js';
+const { htm, createHtm } = hiccupToMithril;
+const { find, findAll, textContent, diffHiccup } = testing;
+
+const Price = (attrs) => m('span.price', `$${attrs.amount}`);
+
+const CartItem = (attrs, children) => m('li.item', { 'data-sku': attrs.sku }, m('span.name', attrs.name), htm([Price, { amount: attrs.price }]), children);
+
+const checkout = ['form#checkout', { action: '/buy' },
+    ['ul.items',
+        [CartItem, { sku: 'A1', name: 'Apple', price: 2 }],
+        [CartItem, { sku: 'P2', name: 'Pear', price: 3 }, ['em', 'Sale']]],
+    ['p.total', 'Total: ', ['strong', '$5']],
+    ['button.btn', { class: ['primary', { busy: false }], type: 'submit', onclick: () => {} }, 'Buy'],
+    ['button.btn', { type: 'button' }, 'Cancel']];
+
+
+describe('find and findAll', () => {
+    it('should match tags, ids, classes and attributes', () => {
+        const button = find(checkout, 'button.primary[type=submit]');
+        expect(button.tag).toBe('button');
+        expect(button.attrs).toMatchObject({ class: 'btn primary', type: 'submit' });
+        expect(button.path).toBe('root[4]');
+        expect(typeof button.attrs.onclick).toBe('function');
+        expect(find(checkout, 'form#checkout[action="/buy"]').path).toBe('root');
+        expect(findAll(checkout, 'button.btn').map(textContent)).toEqual(['Buy', 'Cancel']);
+        expect(findAll(checkout, 'button[type^=sub], strong').map(element => element.tag)).toEqual(['strong', 'button']);
+        expect(find(checkout, 'button.missing')).toBeNull();
+    });
+
+    it('should expand function components', () => {
+        expect(findAll(checkout, 'li.item[data-sku] .price').map(textContent)).toEqual(['$2', '$3']);
+        // Inside a function component, paths follow the children of the vnodes it renders.
+        expect(find(checkout, 'ul > li[data-sku=P2] > em').path).toBe('root[2][2][2][0]');
+    });
+
+    it('should work on the vnodes htm returns', () => {
+        const vnode = htm(checkout);
+        expect(find(vnode, 'button.primary[type=submit]').attrs).toMatchObject({ class: 'btn primary', type: 'submit' });
+        expect(findAll(vnode, 'form .items > li .price').map(textContent)).toEqual(['$2', '$3']);
+    });
+
+    it('should search within an element found before', () => {
+        const items = find(checkout, 'ul.items');
+        expect(findAll(items, 'span.name').map(textContent)).toEqual(['Apple', 'Pear']);
+        expect(find(items, 'strong')).toBeNull();
+        expect(findAll(items, 'form li')).toEqual([]);
+    });
+
+    it('should look through fragments, sequences, boundaries and raw HTML, but not head entries', () => {
+        const tree = ['main',
+            [':head', ['title', 'Title']],
+            [null, ['p.a', 'a'], ['p.b', 'b']],
+            [['p.c', 'c'], ['p.d', 'd']],
+            [':boundary', { fallback: 'x' }, ['p.e', 'e']],
+            [':raw', '<p class="f">f</p>']];
+        expect(findAll(tree, 'main > p').map(element => element.attrs.class)).toEqual(['a', 'b', 'c', 'd', 'e', 'f']);
+        expect(find(tree, 'title')).toBeNull();
+        expect(findAll(htm(tree), 'main > p').map(textContent)).toEqual(['a', 'b', 'c', 'd', 'e', 'f']);
+    });
+
+    it('should keep other components, looking through them', () => {
+        const Card = { view: ({ children }) => m('section', children) };
+        const ui = createHtm({ components: { 'ui/Card': Card } });
+        const tree = ['div', [Card, ['p', 'inside']], ['ui/Card', ['b', 'named']]];
+        expect(findAll(tree, 'div > p, div > b').map(textContent)).toEqual(['inside', 'named']);
+        expect(find(ui.htm(tree), 'section')).toBeNull();
+        expect(textContent(tree)).toBe('insidenamed');
+    });
+
+    it('should reject unsupported selectors', () => {
+        expect(() => find(checkout, 'li:first-child')).toThrow(SyntaxError);
+        expect(() => find(checkout, 'ul >')).toThrow('Unsupported selector "ul >"');
+        expect(() => find(checkout, '')).toThrow(SyntaxError);
+    });
+});
+
+describe('textContent', () => {
+    it('should return the text of a tree', () => {
+        expect(textContent(checkout)).toBe('Apple$2Pear$3SaleTotal: $5BuyCancel');
+        expect(textContent(htm(checkout))).toBe('Apple$2Pear$3SaleTotal: $5BuyCancel');
+        expect(textContent(find(checkout, 'p.total'))).toBe('Total: $5');
+        expect(textContent(['p', 0, ' ', false, null, 'x'])).toBe('0 x');
+        expect(textContent(null)).toBe('');
+    });
+
+    it('should render closure-style function components', () => {
+        const Counter = (initialAttrs) => {
+            let count = initialAttrs.start;
+            return {
+                oninit: () => { count += 1; },
+                view: ({ attrs }) => m('output', `${attrs.label}: ${count}`)
+            };
+        };
+        expect(textContent(['div', [Counter, { start: 1, label: 'Count' }]])).toBe('Count: 2');
+    });
+});
+
+describe('diffHiccup', () => {
+    it('should return nothing for trees that render the same', () => {
+        expect(diffHiccup(checkout, htm(checkout))).toEqual([]);
+        expect(diffHiccup(['p.note', { style: { marginTop: 4 } }, 'Hi'], ['p', { class: 'note', style: 'margin-top:4px' }, 'Hi']))
+            .toEqual([{ path: 'root', message: 'attribute "style" changed from {"margin-top":"4px"} to "margin-top:4px"' }]);
+        expect(diffHiccup(['p.note', { onclick: () => 1 }, 'Hi'], htm(['p', { class: 'note', onclick: () => 2 }, 'Hi']))).toEqual([]);
+    });
+
+    it('should report changes by path', () => {
+        const after = ['form#checkout', { action: '/buy' },
+            ['ul.items',
+                [CartItem, { sku: 'A1', name: 'Apple', price: 4 }]],
+            ['p.total', 'Total: ', ['strong', '$4']],
+            ['button.btn', { class: 'primary', type: 'submit', disabled: true }, 'Buying'],
+            ['a', 'Cancel']];
+        expect(diffHiccup(checkout, after)).toEqual([
+            { path: 'root[2][1][1]', message: 'text "$2" changed to text "$4"' },
+            { path: 'root[2][2]', message: '<li> removed' },
+            { path: 'root[3][2]', message: 'text "$5" changed to text "$4"' },
+            { path: 'root[4]', message: 'attribute "onclick" removed (was a function)' },
+            { path: 'root[4]', message: 'attribute "disabled" added: true' },
+            { path: 'root[4]', message: 'text "Buy" changed to text "Buying"' },
+            { path: 'root[5]', message: '<button> changed to <a>' }
+        ]);
+    });
+
+    it('should report added nodes and components', () => {
+        const Card = { view: () => null };
+        expect(diffHiccup(['ul', ['li', 'a']], ['ul', ['li', 'a'], ['li', 'b'], 'c'])).toEqual([
+            { path: 'root[2]', message: '<li> added' },
+            { path: 'root', message: 'text "c" added' }
+        ]);
+        expect(diffHiccup(['div', [Card, { id: 1 }]], ['div', ['ui/Card', { id: 2 }]])).toEqual([
+            { path: 'root[1]', message: 'component changed to component "ui/Card"' }
+        ]);
+        expect(diffHiccup(['div', [Card, { id: 1 }]], ['div', [Card, { id: 2 }]])).toEqual([
+            { path: 'root[1]', message: 'attribute "id" changed from 1 to 2' }
+        ]);
+    });
+});
@@ -0,0 +1,150 @@
+import m from 'mithril';
+import hiccupToMithril from '../src/index.js';
+const { htm, renderHtmToHtmlString, renderHtmToStream, validateHiccup, HiccupError } = hiccupToMithril;
+
+
+describe('validateHiccup', () => {
+    it('should return no issues for valid trees', () => {
+        const Comp = { view: () => m('div') };
+        const FuncComp = () => m('div');
+        expect(validateHiccup(['div#id.class', { title: 't' }, 'text', 42, null, false, ['p', ['em', 'x']]])).toEqual([]);
+        expect(validateHiccup([Comp, { a: 1 }, 'child'])).toEqual([]);
+        expect(validateHiccup([FuncComp, ['span']])).toEqual([]);
+        expect(validateHiccup([null, 'fragment', ['b']])).toEqual([]);
+        expect(validateHiccup(['div', m('span')])).toEqual([]);
+        expect(validateHiccup([[], 'child'])).toEqual([]);
+        expect(validateHiccup(Comp)).toEqual([]);
+        expect(validateHiccup('text')).toEqual([]);
+        expect(validateHiccup(null)).toEqual([]);
+        expect(validateHiccup(['ul', ['li', { key: 1 }], ['li', { key: 2 }]])).toEqual([]);
+    });
+
+    it('should report an invalid tag with its path', () => {
+        const tree = ['div', 'a', ['section', ['ul', [{ class: 'oops' }, 'item']]]];
+        expect(validateHiccup(tree)).toEqual([
+            { path: 'root[2][1][1][0]', message: 'tag must be a string selector or component' }
+        ]);
+    });
+
+    it('should report a number as a tag', () => {
+        expect(validateHiccup([42, 'x'])).toEqual([
+            { path: 'root[0]', message: 'tag must be a string selector or component' }
+        ]);
+    });
+
+    it('should report an attributes object after children', () => {
+        expect(validateHiccup(['div', 'text', { class: 'late' }])).toEqual([
+            { path: 'root[2]', message: 'attributes must directly follow the tag' }
+        ]);
+    });
+
+    it('should report components used as children', () => {
+        const Comp = { view: () => m('div') };
+        expect(validateHiccup(['div', Comp, () => null])).toEqual([
+            { path: 'root[1]', message: 'components must be in tag position, e.g. [Component, attrs, ...children]' },
+            { path: 'root[2]', message: 'components must be in tag position, e.g. [Component, attrs, ...children]' }
+        ]);
+    });
+
+    it('should report selectors containing whitespace', () => {
+        expect(validateHiccup(['div p', 'x'])).toEqual([
+            { path: 'root[0]', message: 'selector must not contain whitespace: "div p"' }
+        ]);
+    });
+
+    it('should accept sequences and report problems in their items', () => {
+        expect(validateHiccup([['li', 'a'], ['li', 'b']])).toEqual([]);
+        expect(validateHiccup(['ul', [m('li'), 'text', ['li', 'b']]])).toEqual([]);
+        expect(validateHiccup(['ul', [['li'], [42]]])).toEqual([
+            { path: 'root[1][1][0]', message: 'tag must be a string selector or component' }
+        ]);
+    });
+
+    it('should report attributes in sequences', () => {
+        expect(validateHiccup([['li', 'a'], { class: 'x' }])).toEqual([
+            { path: 'root[1]', message: 'a sequence cannot take attributes' }
+        ]);
+    });
+
+    it('should report sequences mixing keyed and unkeyed items', () => {
+        expect(validateHiccup(['ul', [['li', { key: 1 }], ['li']]])).toEqual([
+            { path: 'root[1]', message: 'sequence items must either all have keys or none have keys' }
+        ]);
+    });
+
+    it('should report siblings mixing keyed and unkeyed nodes', () => {
+        expect(validateHiccup(['ul', ['li', { key: 1 }, 'a'], ['li', 'b']])).toEqual([
+            { path: 'root', message: 'children must either all have keys or none have keys' }
+        ]);
+    });
+
+    it('should report unsupported values and plain objects as the root', () => {
+        expect(validateHiccup(['div', Symbol('s')])).toEqual([
+            { path: 'root[1]', message: 'unsupported node type: symbol' }
+        ]);
+        expect(validateHiccup({ class: 'x' })).toEqual([
+            { path: 'root', message: 'node must be a Hiccup array, text, or a Mithril vnode' }
+        ]);
+    });
+
+    it('should report every problem in the tree', () => {
+        const tree = ['main', [42], ['p', 'x', { id: 'late' }], ['section', [{}, 'y']]];
+        expect(validateHiccup(tree).map(issue => issue.path)).toEqual(['root[1][0]', 'root[2][2]', 'root[3][1][0]']);
+    });
+});
+
+describe('HiccupError', () => {
+    it('should be an Error carrying the issues', () => {
+        const issues = [{ path: 'root[0]', message: 'tag must be a string selector or component' }];
+        const error = new HiccupError(issues);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('HiccupError');
+        expect(error.issues).toBe(issues);
+        expect(error.message).toBe('root[0]: tag must be a string selector or component');
+    });
+
+    it('should list every issue in its message', () => {
+        const error = new HiccupError([{ path: 'root[0]', message: 'a' }, { path: 'root[1]', message: 'b' }]);
+        expect(error.message).toBe('Invalid Hiccup (2 problems):\nroot[0]: a\nroot[1]: b');
+    });
+});
+
+describe('strict mode', () => {
+    it('should make htm throw a HiccupError for invalid trees', () => {
+        expect(() => htm(['div', [42]], { strict: true })).toThrow(HiccupError);
+        expect(() => htm(['div', [42]], { strict: true })).toThrow('root[1][0]: tag must be a string selector or component');
+    });
+
+    it('should not change htm output for valid trees', () => {
+        const tree = ['div#a.b', { title: 't' }, ['p', 'text']];
+        expect(htm(tree, { strict: true })).toEqual(htm(tree));
+    });
+
+    it('should make renderHtmToHtmlString reject instead of returning an empty string', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(renderHtmToHtmlString(['div', 'text', { class: 'late' }], { strict: true }))
+            .rejects.toThrow(HiccupError);
+        expect(consoleError).not.toHaveBeenCalled();
+        consoleError.mockRestore();
+    });
+
+    it('should validate each item of a root list with its own path', async () => {
+        await expect(renderHtmToHtmlString([['div'], ['p', [{}]]], { strict: true }))
+            .rejects.toThrow('root[1][1][0]: tag must be a string selector or component');
+        expect(await renderHtmToHtmlString([['div'], ['p']], { strict: true })).toBe('<div></div><p></p>');
+    });
+
+    it('should make renderHtmToStream fail with a HiccupError', async () => {
+        const consume = async () => {
+            for await (const chunk of renderHtmToStream(['div', [42]], { strict: true })) {
+                expect(chunk).toBeUndefined();
+            }
+        };
+        await expect(consume()).rejects.toThrow(HiccupError);
+    });
+
+    it('should leave the renderer\'s XHTML mode available as xhtml', async () => {
+        expect(await renderHtmToHtmlString(['p', ['br']], { strict: true })).toBe('<p><br></p>');
+        expect(await renderHtmToHtmlString(['p', ['br']], { xhtml: true })).toBe('<p><br/></p>');
+    });
+});